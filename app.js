@@ -0,0 +1,76 @@
+const express = require("express");
+const cors = require("cors");
+const app = express();
+
+const register = require("./routes/api/register");
+const avatar = require("./routes/api/avatar");
+const privacy = require("./routes/api/privacy");
+const handle = require("./routes/api/handle");
+const login = require("./routes/api/login");
+const sessions = require("./routes/api/sessions");
+const account = require("./routes/api/account");
+const profile = require("./routes/api/profile");
+const posts = require("./routes/api/posts");
+const comments = require("./routes/api/comments");
+const follow = require("./routes/api/follow");
+const admin = require("./routes/api/admin");
+const reports = require("./routes/api/reports");
+const search = require("./routes/api/search");
+const notifications = require("./routes/api/notifications");
+const conversations = require("./routes/api/conversations");
+const docs = require("./routes/api/docs");
+const { getStorage } = require("./utils/storage");
+const { NotFoundError } = require("./utils/errors");
+const errorHandler = require("./middleware/errorHandler");
+const openapiValidator = require("./middleware/openapi");
+const openapiDocument = require("./openapi");
+
+// Use the client address forwarded by a reverse proxy, needed for per-IP rate limits behind one
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
+// Init Middleware
+app.use(cors());
+app.use(express.json());
+
+// Check request bodies, and responses outside production, against the OpenAPI document
+app.use(openapiValidator(openapiDocument));
+
+// Serve uploaded files when they are kept on the local disk
+if (getStorage().directory) {
+  app.use(getStorage().baseUrl, express.static(getStorage().directory));
+}
+
+// Define Routes
+app.use("/api/docs", docs);
+app.use("/api/users", register);
+app.use("/api/users", avatar);
+app.use("/api/users", privacy);
+app.use("/api/users", handle);
+app.use("/api/auth", login);
+app.use("/api/auth", sessions);
+app.use("/api/auth", account);
+app.use("/api/profile", profile);
+app.use("/api/posts", comments);
+app.use("/api/posts", posts);
+app.use("/api/follow", follow);
+app.use("/api/admin", admin);
+app.use("/api/reports", reports);
+app.use("/api/search", search);
+app.use("/api/notifications", notifications);
+app.use("/api/conversations", conversations);
+
+// Unknown API routes answer with the same JSON error as everything else
+app.use("/api", (req, res, next) => {
+  next(new NotFoundError("Route not found"));
+});
+
+app.get("/", (req, res) => {
+  res.send("Hello Dunia!");
+});
+
+// Turn every error passed to next() into a JSON error response, must come after the routes
+app.use(errorHandler);
+
+module.exports = app;
@@ -2,11 +2,16 @@ const mongoose = require('mongoose');
 const dotenv = require('dotenv');
 dotenv.config();
 
-mongoose.connect(process.env.MONGO_DB_URL, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-});
-
 mongoose.connection.on('connected', () =>
   console.log('Connected to DataBase Successfully')
 );
+
+// Connect to MongoDB, by default at MONGO_DB_URL, resolves once the connection is open
+function connectDB(url = process.env.MONGO_DB_URL) {
+  return mongoose.connect(url, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+}
+
+module.exports = connectDB;
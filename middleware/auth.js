@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken'); // Importing JSON Web Token library
 const dotenv = require('dotenv'); // Importing library to load environment variables from .env file
+const { isSessionActive } = require('../utils/tokens'); // Importing session lookup used to honour logouts
+const { UnauthorizedError } = require('../utils/errors'); // Importing the error reported for unauthenticated requests
 dotenv.config(); // Loading environment variables from .env file
 
 module.exports = function authenticationMiddleware(req, res, next) {
@@ -8,24 +10,29 @@ module.exports = function authenticationMiddleware(req, res, next) {
 
   // Check if no token
   if (!token) {
-    return res.status(401).json({ msg: 'No token, authorization denied' });
+    return next(new UnauthorizedError('No token, authorization denied'));
   }
 
   // Verify token
-  try {
-    jwt.verify(token, process.env.JWT_SECRET, (error, decoded) => {
-      if (error) {
-        // Token is not valid
-        return res.status(401).json({ msg: 'Token is not valid' });
-      } else {
-        // Token is valid, store the decoded user object in the request for future use
-        req.user = decoded.user;
-        next(); // Proceed to the next middleware or route handler
+  jwt.verify(token, process.env.JWT_SECRET, async (error, decoded) => {
+    if (error) {
+      // Token is not valid
+      return next(new UnauthorizedError('Token is not valid'));
+    }
+
+    try {
+      // Reject tokens whose session was logged out or revoked
+      if (!(await isSessionActive(decoded.sid))) {
+        return next(new UnauthorizedError('Session has been revoked'));
       }
-    });
-  } catch (err) {
-    // Something went wrong with the authentication middleware
-    console.error('Something went wrong with authentication middleware');
-    res.status(500).json({ msg: 'Server Error' });
-  }
+
+      // Token is valid, store the decoded user object and its session in the request for future use
+      req.user = decoded.user;
+      req.sessionId = decoded.sid;
+      next(); // Proceed to the next middleware or route handler
+    } catch (err) {
+      // Something went wrong with the authentication middleware
+      next(err);
+    }
+  });
 };
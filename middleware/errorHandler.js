@@ -0,0 +1,68 @@
+const mongoose = require('mongoose'); // Importing mongoose to recognise its errors
+const multer = require('multer'); // Importing multer to recognise upload errors
+const { ApiError } = require('../utils/errors'); // Importing the base class of typed API errors
+
+// Convert any error into an ApiError-like { status, code, message, details }
+function normalizeError(err) {
+  if (err instanceof ApiError) return err;
+
+  // A malformed ObjectId can never match a document
+  if (err instanceof mongoose.Error.CastError && err.kind === 'ObjectId') {
+    return { status: 404, code: 'NOT_FOUND', message: 'Resource not found' };
+  }
+
+  if (err instanceof mongoose.Error.ValidationError) {
+    return {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: Object.values(err.errors).map((error) => ({
+        field: error.path,
+        location: 'body',
+        message: error.message
+      }))
+    };
+  }
+
+  // Duplicate key in a unique index
+  if (err.code === 11000) {
+    return { status: 409, code: 'CONFLICT', message: 'Resource already exists' };
+  }
+
+  // Malformed JSON body, reported by express.json
+  if (err.type === 'entity.parse.failed') {
+    return { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  }
+
+  if (err.type === 'entity.too.large') {
+    return { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' };
+  }
+
+  if (err instanceof multer.MulterError) {
+    return { status: 400, code: 'UPLOAD_ERROR', message: err.message };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Server Error' };
+}
+
+// Answer every error with the same JSON shape: { error: { code, message, details? } }
+// Express recognises error handlers by their four arguments, so `next` must stay
+module.exports = function errorHandler(err, req, res, next) {
+  // Leave half-sent responses to Express, which closes the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const { status, code, message, details, retryAfter } = normalizeError(err);
+
+  if (status >= 500) {
+    console.error(err); // Unexpected errors are logged, expected ones are part of normal operation
+  }
+
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+
+  const body = { error: { code, message } };
+  if (details) body.error.details = details;
+
+  res.status(status).json(body);
+};
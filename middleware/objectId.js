@@ -0,0 +1,14 @@
+const { NotFoundError } = require('../utils/errors'); // Importing the error reported for missing resources
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Build a router.param handler answering 404 for route parameters that cannot be an ObjectId,
+// since no document can exist under such an ID
+module.exports = function validateObjectId(message) {
+  return function objectIdParam(req, res, next, value) {
+    if (!OBJECT_ID_PATTERN.test(value)) {
+      return next(new NotFoundError(message));
+    }
+    next();
+  };
+};
@@ -0,0 +1,159 @@
+const Ajv2020 = require('ajv/dist/2020'); // JSON Schema validator, OpenAPI 3.1 schemas are JSON Schema 2020-12
+const addFormats = require('ajv-formats'); // Support for formats such as date-time and email
+const { ValidationError } = require('../utils/errors'); // Importing the error reported for invalid requests
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const DOCUMENT_ID = 'openapi.json';
+
+// Response validation is a development aid, it is left off in production unless asked for
+const RESPONSE_VALIDATION =
+  process.env.OPENAPI_RESPONSE_VALIDATION || (process.env.NODE_ENV === 'production' ? 'off' : 'warn');
+
+// Escape a path segment for use in a JSON pointer
+function pointerSegment(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// Turn an OpenAPI path such as /api/posts/{id} into a regular expression
+function pathPattern(path) {
+  const source = path
+    .split('/')
+    .map((segment) =>
+      /^{.+}$/.test(segment) ? '[^/]+' : segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+    )
+    .join('/');
+  return new RegExp(`^${source}$`);
+}
+
+// Turn an Ajv instance path such as /ids/0 into the field name express-validator would use, ids[0]
+function fieldName(instancePath) {
+  return instancePath
+    .split('/')
+    .slice(1)
+    .reduce((field, part) => (/^\d+$/.test(part) ? `${field}[${part}]` : field ? `${field}.${part}` : part), '');
+}
+
+// Describe Ajv errors in the shape of ValidationError details
+function describeErrors(errors, location) {
+  return errors.map((error) => {
+    if (error.keyword === 'required') {
+      const field = fieldName(`${error.instancePath}/${error.params.missingProperty}`);
+      return { field, location, message: `${field} is required` };
+    }
+    const field = fieldName(error.instancePath);
+    return { field, location, message: `${field || 'Body'} ${error.message}` };
+  });
+}
+
+/**
+ * Build a middleware validating JSON request bodies, and in development JSON responses,
+ * against an OpenAPI document. Requests to paths the document does not describe pass through.
+ */
+module.exports = function openapiValidator(document, { responses = RESPONSE_VALIDATION } = {}) {
+  const ajv = new Ajv2020({ strict: false, allErrors: true });
+  addFormats(ajv);
+  ajv.addFormat('binary', true); // Uploaded files are not JSON, the format only documents them
+  ajv.addSchema(document, DOCUMENT_ID);
+
+  // Compile a schema found at a location in the document, so its references resolve against the document
+  const validators = new Map();
+  function validatorAt(pointer) {
+    if (!validators.has(pointer)) {
+      validators.set(pointer, ajv.compile({ $ref: `${DOCUMENT_ID}#${pointer}` }));
+    }
+    return validators.get(pointer);
+  }
+
+  const errorValidator = validatorAt('/components/schemas/Error');
+
+  // Index the operations, paths with fewer parameters first so /api/posts/feed wins over /api/posts/{id}
+  const operations = [];
+  for (const [path, item] of Object.entries(document.paths)) {
+    for (const method of METHODS) {
+      if (!item[method]) continue;
+      operations.push({
+        method,
+        pattern: pathPattern(path),
+        pointer: `/paths/${pointerSegment(path)}/${method}`,
+        operation: item[method],
+        params: (path.match(/{/g) || []).length
+      });
+    }
+  }
+  operations.sort((a, b) => a.params - b.params);
+
+  function findOperation(req) {
+    const method = req.method.toLowerCase();
+    const path = req.path.length > 1 ? req.path.replace(/\/$/, '') : req.path;
+    return operations.find((entry) => entry.method === method && entry.pattern.test(path));
+  }
+
+  // Resolve the response described for a status code, following a reference to components.responses
+  function responseFor(entry, status) {
+    let response = entry.operation.responses[status];
+    if (!response) return null;
+    if (response.$ref) {
+      response = document.components.responses[response.$ref.split('/').pop()];
+    }
+    return response;
+  }
+
+  // List the ways a response body differs from the document, or null when it matches
+  function checkResponse(entry, status, body) {
+    // Errors come from the central error handler and share one shape whatever the status
+    if (status >= 400) {
+      return errorValidator(body) ? null : describeErrors(errorValidator.errors, 'response');
+    }
+
+    const response = responseFor(entry, status);
+    if (!response || !response.content || !response.content['application/json']) {
+      return [{ field: '', location: 'response', message: `Status ${status} is not documented` }];
+    }
+
+    const validate = validatorAt(
+      `${entry.pointer}/responses/${status}/content/application~1json/schema`
+    );
+    return validate(body) ? null : describeErrors(validate.errors, 'response');
+  }
+
+  return function openapiMiddleware(req, res, next) {
+    const entry = findOperation(req);
+    if (!entry) return next();
+
+    if (responses !== 'off') {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        // Compare what the client will receive, after documents and dates are serialized
+        const problems = checkResponse(entry, res.statusCode, JSON.parse(JSON.stringify(body)));
+        if (!problems) return json(body);
+
+        console.error(`Response of ${req.method} ${req.path} does not match the API specification`, problems);
+        if (responses !== 'error') return json(body);
+
+        res.status(500);
+        return json({
+          error: {
+            code: 'INTERNAL_ERROR',
+            message: 'Response does not match the API specification',
+            details: problems
+          }
+        });
+      };
+    }
+
+    // Multipart bodies are parsed by the route itself, only JSON bodies can be checked here
+    const content = entry.operation.requestBody && entry.operation.requestBody.content;
+    if (!content || !content['application/json'] || req.is('multipart/form-data')) {
+      return next();
+    }
+
+    const validate = validatorAt(
+      `${entry.pointer}/requestBody/content/application~1json/schema`
+    );
+    if (!validate(req.body)) {
+      return next(new ValidationError(describeErrors(validate.errors, 'body')));
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,27 @@
+const User = require('../models/User'); // Importing User model to look up the current role
+const { hasPermission } = require('../utils/roles'); // Importing role to permission mapping
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors'); // Importing the errors reported for denied requests
+
+// Build a middleware allowing the request only if the authenticated user's role grants the permission
+// Must run after the authentication middleware
+module.exports = function requirePermission(permission) {
+  return async function permissionMiddleware(req, res, next) {
+    try {
+      // Read the role from the database so role changes apply immediately
+      const user = await User.findById(req.user.id).select('role');
+
+      if (!user) {
+        return next(new UnauthorizedError('User not found, authorization denied'));
+      }
+
+      if (!hasPermission(user.role, permission)) {
+        return next(new ForbiddenError());
+      }
+
+      req.user.role = user.role; // Store the role in the request for future use
+      next(); // Proceed to the next middleware or route handler
+    } catch (err) {
+      next(err);
+    }
+  };
+};
@@ -0,0 +1,59 @@
+const dotenv = require('dotenv'); // Importing library to load environment variables from .env file
+const { getStore } = require('../utils/rateLimitStore'); // Importing the store hits are counted in
+const { TooManyRequestsError } = require('../utils/errors'); // Importing the error reported for throttled requests
+dotenv.config(); // Loading environment variables from .env file
+
+// Read a number from the environment, falling back to a default
+function envNumber(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? fallback : value;
+}
+
+/**
+ * Build a middleware allowing at most `max` requests per `windowSeconds` for each client.
+ * Clients are told apart by IP address, or by user ID with `by: 'user'`, in which case the
+ * middleware must run after the authentication middleware.
+ * Every limit can be overridden through RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW.
+ */
+function rateLimit({ name, max, windowSeconds, by = 'ip' }) {
+  const envName = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const limit = envNumber(`RATE_LIMIT_${envName}_MAX`, max);
+  const windowMs = envNumber(`RATE_LIMIT_${envName}_WINDOW`, windowSeconds) * 1000;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    const client = by === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    try {
+      const { count, resetAt } = await getStore().increment(`rate:${name}:${client}`, windowMs);
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+      res.set('X-RateLimit-Limit', String(limit));
+      res.set('X-RateLimit-Remaining', String(Math.max(0, limit - count)));
+      res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+      if (count > limit) {
+        return next(new TooManyRequestsError(undefined, retryAfter));
+      }
+
+      next(); // Proceed to the next middleware or route handler
+    } catch (err) {
+      // Never lock everyone out because the store is unavailable
+      console.error('Something went wrong with rate limit middleware:', err.message);
+      next();
+    }
+  };
+}
+
+// Limits applied to the routes most open to abuse
+const limiters = {
+  login: rateLimit({ name: 'login', max: 20, windowSeconds: 15 * 60 }),
+  register: rateLimit({ name: 'register', max: 5, windowSeconds: 60 * 60 }),
+  passwordReset: rateLimit({ name: 'password_reset', max: 5, windowSeconds: 60 * 60 }),
+  post: rateLimit({ name: 'post', max: 30, windowSeconds: 10 * 60, by: 'user' }),
+  comment: rateLimit({ name: 'comment', max: 60, windowSeconds: 10 * 60, by: 'user' }),
+  message: rateLimit({ name: 'message', max: 120, windowSeconds: 10 * 60, by: 'user' }),
+  report: rateLimit({ name: 'report', max: 20, windowSeconds: 60 * 60, by: 'user' }),
+  export: rateLimit({ name: 'export', max: 5, windowSeconds: 24 * 60 * 60, by: 'user' })
+};
+
+module.exports = { rateLimit, limiters };
@@ -0,0 +1,18 @@
+const { validationResult } = require('express-validator'); // Importing the result of the express-validator checks
+const { ValidationError } = require('../utils/errors'); // Importing the error reported for invalid requests
+
+// Stop the request with a ValidationError if any of the preceding express-validator checks failed
+module.exports = function validateMiddleware(req, res, next) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return next();
+
+  next(
+    new ValidationError(
+      errors.array().map((error) => ({
+        field: error.path,
+        location: error.location,
+        message: error.msg
+      }))
+    )
+  );
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Record of an emailed single-use token, e.g. for password reset or email verification
+const ActionTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password-reset', 'email-verification'],
+    required: true
+  },
+  // Unique ID embedded in the signed token, used to allow it only once
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB clean up tokens once they have expired
+ActionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('actionToken', ActionTokenSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A post saved by a user to read later, only visible to that user
+const BookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'post',
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can bookmark a post only once
+BookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+// Support newest-first listing of a user's bookmarks
+BookmarkSchema.index({ user: 1, date: -1, _id: -1 });
+// Support removing the bookmarks of a deleted post
+BookmarkSchema.index({ post: 1 });
+
+module.exports = mongoose.model('bookmark', BookmarkSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Deepest level a reply can be nested at, top-level comments are at depth 0
+const MAX_DEPTH = 3;
+
+const CommentSchema = new Schema({
+  post: {
+    type: Schema.Types.ObjectId,
+    ref: 'post',
+    required: true
+  },
+  parent: {
+    type: Schema.Types.ObjectId,
+    ref: 'comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0,
+    max: MAX_DEPTH
+  },
+  user: {
+    type: Schema.Types.ObjectId
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String
+  },
+  avatar: {
+    type: String
+  },
+  likes: [
+    {
+      user: {
+        type: Schema.Types.ObjectId
+      }
+    }
+  ],
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  deleted: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
+  // Hidden from other users while reports against it are reviewed
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden from other users while the account of its author waits to be deleted
+  pendingDeletion: {
+    type: Boolean,
+    default: false
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Support newest-first pagination of a post's top-level comments and of a comment's replies
+CommentSchema.index({ post: 1, parent: 1, date: -1, _id: -1 });
+
+CommentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+
+module.exports = mongoose.model('comment', CommentSchema);
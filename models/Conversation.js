@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Largest number of members a group conversation can have
+const MAX_PARTICIPANTS = 10;
+
+const ConversationSchema = new Schema({
+  participants: {
+    type: [
+      {
+        user: {
+          type: Schema.Types.ObjectId,
+          ref: 'user',
+          required: true
+        },
+        // Messages sent up to this time have been read by the participant
+        lastReadAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    validate: [
+      (participants) => participants.length >= 2 && participants.length <= MAX_PARTICIPANTS,
+      `A conversation needs between 2 and ${MAX_PARTICIPANTS} participants`
+    ]
+  },
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  lastMessage: {
+    sender: {
+      type: Schema.Types.ObjectId,
+      ref: 'user'
+    },
+    text: {
+      type: String
+    }
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Support listing a user's conversations by most recent activity
+ConversationSchema.index({ 'participants.user': 1, lastMessageAt: -1, _id: -1 });
+
+ConversationSchema.statics.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
+
+module.exports = mongoose.model('conversation', ConversationSchema);
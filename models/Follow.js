@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const FollowSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can follow another user only once
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Support newest-first listing of a user's followers
+FollowSchema.index({ following: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('follow', FollowSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Handle a user has renamed away from, kept so links using it still lead to the user
+const HandleRedirectSchema = new mongoose.Schema({
+  handle: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Support removing the redirects of a user
+HandleRedirectSchema.index({ user: 1 });
+
+module.exports = mongoose.model('handleRedirect', HandleRedirectSchema);
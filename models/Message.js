@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const MessageSchema = new Schema({
+  conversation: {
+    type: Schema.Types.ObjectId,
+    ref: 'conversation',
+    required: true
+  },
+  sender: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Support newest-first pagination of a conversation's history and counting unread messages
+MessageSchema.index({ conversation: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('message', MessageSchema);
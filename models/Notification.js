@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NotificationSchema = new Schema({
+  // User the notification is for
+  recipient: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  // User whose action caused the notification
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['like', 'comment', 'reply', 'follow', 'mention', 'endorsement', 'repost', 'quote'],
+    required: true
+  },
+  post: {
+    type: Schema.Types.ObjectId,
+    ref: 'post'
+  },
+  comment: {
+    type: Schema.Types.ObjectId,
+    ref: 'comment'
+  },
+  // Skill that was endorsed, for endorsement notifications
+  skill: {
+    type: String
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Support newest-first pagination of a user's notifications and counting unread ones
+NotificationSchema.index({ recipient: 1, date: -1, _id: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+
+module.exports = mongoose.model('notification', NotificationSchema);
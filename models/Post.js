@@ -5,48 +5,129 @@ const PostSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId
   },
+  // Reposts can go without text of their own
   text: {
     type: String,
-    required: true
+    required: function () {
+      return !this.repostOf;
+    }
   },
-  name: {
+  // Markdown text rendered to safe HTML
+  html: {
     type: String
   },
-  avatar: {
-    type: String
+  // Lowercased #hashtags found in the text
+  hashtags: {
+    type: [String],
+    index: true
   },
-  likes: [
-    {
-      user: {
-        type: Schema.Types.ObjectId
+  // Users @mentioned in the text
+  mentions: {
+    type: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: 'user'
       }
-    }
-  ],
-  comments: [
+    ],
+    index: true
+  },
+  attachments: [
     {
-      user: {
-        type: Schema.Types.ObjectId
-      },
-      text: {
+      url: {
         type: String,
         required: true
       },
+      thumbnailUrl: {
+        type: String
+      },
+      // Storage keys, used to delete the files with the post
+      key: {
+        type: String
+      },
+      thumbnailKey: {
+        type: String
+      },
       name: {
         type: String
       },
-      avatar: {
+      contentType: {
         type: String
       },
-      date: {
-        type: Date,
-        default: Date.now
+      size: {
+        type: Number
+      },
+      width: {
+        type: Number
+      },
+      height: {
+        type: Number
       }
     }
   ],
+  name: {
+    type: String
+  },
+  avatar: {
+    type: String
+  },
+  likes: [
+    {
+      user: {
+        type: Schema.Types.ObjectId
+      }
+    }
+  ],
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Post shared by this one: as is when the post has no text, as a quote post otherwise
+  repostOf: {
+    type: Schema.Types.ObjectId,
+    ref: 'post',
+    default: null
+  },
+  // Set on reposts without text of their own
+  plainRepost: {
+    type: Boolean
+  },
+  // Reposts and quote posts of this post
+  repostCount: {
+    type: Number,
+    default: 0
+  },
+  quoteCount: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date
+  },
+  // Hidden from other users while reports against it are reviewed
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden from other users while the account of its author waits to be deleted
+  pendingDeletion: {
+    type: Boolean,
+    default: false
+  },
   date: {
     type: Date,
     default: Date.now
   }
 });
 
+// Support newest-first pagination of the whole feed and of a single author's posts
+PostSchema.index({ date: -1, _id: -1 });
+PostSchema.index({ user: 1, date: -1, _id: -1 });
+// A user can repost a post without text only once, also supports finding the reposts of a post
+PostSchema.index(
+  { repostOf: 1, user: 1 },
+  { unique: true, partialFilterExpression: { plainRepost: true }, name: 'plain_repost_once' }
+);
+// Support full-text search over post text
+PostSchema.index({ text: 'text' }, { name: 'post_text_search' });
+
 module.exports = mongoose.model('post', PostSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A previous version of a post's text, stored whenever the post is edited
+const PostRevisionSchema = new Schema({
+  post: {
+    type: Schema.Types.ObjectId,
+    ref: 'post',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // When this version was originally written
+  date: {
+    type: Date,
+    required: true
+  },
+  // When this version was replaced by an edit
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Support newest-first pagination of a post's revisions
+PostRevisionSchema.index({ post: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('postRevision', PostRevisionSchema);
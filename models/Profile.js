@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const ProfileSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
+    ref: 'user'
   },
   company: {
     type: String
@@ -103,10 +104,55 @@ const ProfileSchema = new mongoose.Schema({
       type: String
     }
   },
+  // Endorsements of the listed skills by other users, one entry per endorsed skill
+  endorsements: [
+    {
+      skill: {
+        type: String,
+        required: true
+      },
+      // Number of endorsers, kept in step with the list
+      count: {
+        type: Number,
+        default: 0
+      },
+      endorsers: [
+        {
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'user'
+          },
+          date: {
+            type: Date,
+            default: Date.now
+          }
+        }
+      ]
+    }
+  ],
+  // Hidden from other users while reports against it are reviewed
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  // Hidden from other users while the account of its author waits to be deleted
+  pendingDeletion: {
+    type: Boolean,
+    default: false
+  },
   date: {
     type: Date,
     default: Date.now
   }
 });
 
+// Support ranked full-text search, matches on skills and status count more than the bio
+ProfileSchema.index(
+  { skills: 'text', status: 'text', company: 'text', bio: 'text' },
+  {
+    name: 'profile_text_search',
+    weights: { skills: 10, status: 5, company: 3, bio: 1 }
+  }
+);
+
 module.exports = mongoose.model('profile', ProfileSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ReportSchema = new Schema({
+  reporter: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'profile'],
+    required: true
+  },
+  target: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['spam', 'harassment', 'hate', 'inappropriate', 'other'],
+    required: true
+  },
+  details: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reviewing', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Moderator who picked the report up or closed it
+  moderator: {
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  },
+  note: {
+    type: String
+  },
+  closedAt: {
+    type: Date
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can report the same content only once
+ReportSchema.index({ reporter: 1, targetType: 1, target: 1 }, { unique: true });
+// Support counting the pending reports of a piece of content
+ReportSchema.index({ targetType: 1, target: 1, status: 1 });
+// Support newest-first pagination of the moderation queue
+ReportSchema.index({ status: 1, date: -1, _id: -1 });
+
+module.exports = mongoose.model('report', ReportSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A logged in device, identified by the refresh token it currently holds
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  // SHA-256 hash of the refresh token secret issued most recently, older ones are rejected as reuse
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('session', SessionSchema);
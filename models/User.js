@@ -14,13 +14,55 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Public name used in profile URLs and @mentions, stored lowercased
+  handle: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true
+  },
   avatar: {
     type: String
   },
+  // Storage keys of an uploaded avatar, unset while the Gravatar is used
+  avatarKey: {
+    type: String
+  },
+  avatarThumbnailKey: {
+    type: String
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  role: {
+    type: String,
+    enum: ['user', 'moderator', 'admin'],
+    default: 'user'
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'banned'],
+    default: 'active'
+  },
+  suspendedUntil: {
+    type: Date
+  },
+  statusReason: {
+    type: String
+  },
+  // Set while the user has asked for their account to be deleted, it is purged once the date has passed
+  deletionScheduledFor: {
+    type: Date
+  },
   date: {
     type: Date,
     default: Date.now
   }
 });
 
+// Support finding the accounts whose deletion is due
+UserSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+
 module.exports = mongoose.model('user', UserSchema);
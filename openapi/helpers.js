@@ -0,0 +1,85 @@
+// Small builders keeping the path definitions short and uniform
+
+// Reference a schema defined in components.schemas
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Allow a schema to be null as well
+function nullable(schema) {
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+// JSON request body
+function jsonBody(schema, required = true) {
+  return { required, content: { 'application/json': { schema } } };
+}
+
+// Successful JSON response
+function ok(schema, description = 'Success') {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+// Standard error responses, by status code
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  429: 'TooManyRequests',
+  502: 'BadGateway',
+  503: 'ServiceUnavailable'
+};
+
+// Build the responses of an operation from its success response and the error statuses it can answer with
+// Every operation can fail with an unexpected 500
+function responses(success, ...errorStatuses) {
+  const result = { 200: success };
+  for (const status of errorStatuses) {
+    result[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+  }
+  result[500] = { $ref: '#/components/responses/InternalError' };
+  return result;
+}
+
+// Path parameter holding an ObjectId
+function idParam(name, description) {
+  return { name, in: 'path', required: true, description, schema: ref('ObjectId') };
+}
+
+// Optional query parameter
+function queryParam(name, schema, description) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+// Query parameters of cursor-paginated listings
+const limitParam = queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }, 'Page size');
+const beforeParam = queryParam('before', { type: 'string' }, 'Cursor of the page after the current one, from `nextCursor`');
+const afterParam = queryParam('after', { type: 'string' }, 'Cursor of the page before the current one, from `prevCursor`');
+const cursorParams = [limitParam, beforeParam];
+
+// Query parameters of page-numbered listings
+const pageParams = [
+  queryParam('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  limitParam
+];
+
+// Operations requiring an access token
+const authenticated = [{ tokenAuth: [] }];
+
+module.exports = {
+  ref,
+  nullable,
+  jsonBody,
+  ok,
+  responses,
+  idParam,
+  queryParam,
+  limitParam,
+  beforeParam,
+  afterParam,
+  cursorParams,
+  pageParams,
+  authenticated
+};
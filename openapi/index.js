@@ -0,0 +1,71 @@
+const { version, description } = require('../package.json');
+const schemas = require('./schemas');
+const { ref } = require('./helpers');
+
+// Error response with the shape produced by middleware/errorHandler
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: ref('Error') } } };
+}
+
+const retryAfter = {
+  description: 'Seconds until the request may be retried',
+  schema: { type: 'integer' }
+};
+
+/**
+ * OpenAPI 3.1 description of the API, served at /api/docs and used by
+ * middleware/openapi to validate request bodies and responses.
+ */
+module.exports = {
+  openapi: '3.1.0',
+  info: {
+    title: 'ConnectPro API',
+    version,
+    description
+  },
+  servers: [{ url: '/' }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Account' },
+    { name: 'Users' },
+    { name: 'Profiles' },
+    { name: 'Posts' },
+    { name: 'Comments' },
+    { name: 'Follow' },
+    { name: 'Notifications' },
+    { name: 'Conversations' },
+    { name: 'Search' },
+    { name: 'Reports' },
+    { name: 'Admin' }
+  ],
+  paths: {
+    ...require('./paths/auth'),
+    ...require('./paths/users'),
+    ...require('./paths/profile'),
+    ...require('./paths/posts'),
+    ...require('./paths/comments'),
+    ...require('./paths/follow'),
+    ...require('./paths/notifications'),
+    ...require('./paths/conversations'),
+    ...require('./paths/search'),
+    ...require('./paths/reports'),
+    ...require('./paths/admin')
+  },
+  components: {
+    schemas,
+    securitySchemes: {
+      tokenAuth: { type: 'apiKey', in: 'header', name: 'x-auth-token' }
+    },
+    responses: {
+      BadRequest: errorResponse('The request is invalid, `details` lists the invalid fields of a VALIDATION_ERROR'),
+      Unauthorized: errorResponse('The access token is missing, invalid or expired'),
+      Forbidden: errorResponse('The user may not do this'),
+      NotFound: errorResponse('The resource does not exist'),
+      Conflict: errorResponse('The request conflicts with the current state, e.g. a duplicate'),
+      TooManyRequests: { ...errorResponse('Rate limited'), headers: { 'Retry-After': retryAfter } },
+      BadGateway: errorResponse('An upstream service failed'),
+      ServiceUnavailable: { ...errorResponse('An upstream service is unavailable'), headers: { 'Retry-After': retryAfter } },
+      InternalError: errorResponse('Unexpected server error')
+    }
+  }
+};
@@ -0,0 +1,115 @@
+const { ref, jsonBody, ok, responses, idParam, queryParam, cursorParams, authenticated } = require('../helpers');
+const { ROLES } = require('../../utils/roles');
+
+const userId = idParam('user_id', 'User ID');
+const reason = { type: 'string', description: 'Shown to the user' };
+
+// Staff tools, each operation needs a permission of the user's role
+module.exports = {
+  '/api/admin/users': {
+    get: {
+      tags: ['Admin'],
+      summary: 'List users, newest first',
+      description: 'Needs the `users:list` permission.',
+      security: authenticated,
+      parameters: [
+        ...cursorParams,
+        queryParam('role', { type: 'string', enum: ROLES }, 'Only users with this role'),
+        queryParam('status', { type: 'string', enum: ['active', 'suspended', 'banned'] }, 'Only users with this status')
+      ],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['users', 'nextCursor'],
+          properties: {
+            users: { type: 'array', items: ref('User') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401,
+        403
+      )
+    }
+  },
+
+  '/api/admin/users/{user_id}/suspend': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Suspend a user until a date',
+      description: 'Needs the `users:suspend` permission. Logs the user out everywhere.',
+      security: authenticated,
+      parameters: [userId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['until'],
+        properties: {
+          until: { type: 'string', format: 'date-time', description: 'End of the suspension, in the future' },
+          reason
+        }
+      }),
+      responses: responses(ok(ref('User')), 400, 401, 403, 404)
+    }
+  },
+
+  '/api/admin/users/{user_id}/ban': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Ban a user',
+      description: 'Needs the `users:ban` permission. Logs the user out everywhere.',
+      security: authenticated,
+      parameters: [userId],
+      requestBody: jsonBody({ type: 'object', properties: { reason } }, false),
+      responses: responses(ok(ref('User')), 400, 401, 403, 404)
+    }
+  },
+
+  '/api/admin/users/{user_id}/reinstate': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Lift a suspension or ban',
+      description: 'Needs the `users:suspend` permission, lifting a ban needs an admin.',
+      security: authenticated,
+      parameters: [userId],
+      responses: responses(ok(ref('User')), 400, 401, 403, 404)
+    }
+  },
+
+  '/api/admin/users/{user_id}/role': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Change the role of a user',
+      description: 'Needs the `users:role` permission.',
+      security: authenticated,
+      parameters: [userId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: ROLES } }
+      }),
+      responses: responses(ok(ref('User')), 400, 401, 403, 404)
+    }
+  },
+
+  '/api/admin/posts/{id}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Delete any post',
+      description: 'Needs the `posts:delete` permission.',
+      security: authenticated,
+      parameters: [idParam('id', 'Post ID')],
+      responses: responses(ok(ref('Message')), 401, 403, 404)
+    }
+  },
+
+  '/api/admin/comments/{comment_id}': {
+    delete: {
+      tags: ['Admin'],
+      summary: 'Delete any comment',
+      description: 'Needs the `comments:delete` permission.',
+      security: authenticated,
+      parameters: [idParam('comment_id', 'Comment ID')],
+      responses: responses(ok(ref('Message')), 401, 403, 404)
+    }
+  }
+};
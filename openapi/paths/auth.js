@@ -0,0 +1,152 @@
+const { ref, jsonBody, ok, responses, idParam, authenticated } = require('../helpers');
+
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 6 };
+
+// Registration, login, sessions and account emails
+module.exports = {
+  '/api/users': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Register a new user',
+      description: 'Sends an email verification link and starts a session.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          email,
+          password
+        }
+      }),
+      responses: responses(ok(ref('Tokens')), 400, 409, 429)
+    }
+  },
+
+  '/api/auth': {
+    get: {
+      tags: ['Auth'],
+      summary: 'Get the authenticated user',
+      security: authenticated,
+      responses: responses(ok(ref('User')), 401)
+    },
+    post: {
+      tags: ['Auth'],
+      summary: 'Log in',
+      description: 'Repeated failures lock the email out for an increasing time.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+          email,
+          password: { type: 'string', minLength: 1 }
+        }
+      }),
+      responses: responses(ok(ref('Tokens')), 400, 403, 429)
+    }
+  },
+
+  '/api/auth/refresh': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Exchange a refresh token for new tokens',
+      description: 'Refresh tokens are single use. Reusing one revokes its session.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['refreshToken'],
+        properties: { refreshToken: { type: 'string', minLength: 1 } }
+      }),
+      responses: responses(ok(ref('Tokens')), 400, 401)
+    }
+  },
+
+  '/api/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log out of the current session',
+      security: authenticated,
+      responses: responses(ok(ref('Message')), 401)
+    }
+  },
+
+  '/api/auth/logout-all': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log out of every session',
+      security: authenticated,
+      responses: responses(ok(ref('Message')), 401)
+    }
+  },
+
+  '/api/auth/sessions': {
+    get: {
+      tags: ['Auth'],
+      summary: 'List the active sessions',
+      security: authenticated,
+      responses: responses(ok({ type: 'array', items: ref('Session') }), 401)
+    }
+  },
+
+  '/api/auth/sessions/{session_id}': {
+    delete: {
+      tags: ['Auth'],
+      summary: 'Revoke a session',
+      security: authenticated,
+      parameters: [idParam('session_id', 'Session ID')],
+      responses: responses(ok(ref('Message')), 400, 401, 404)
+    }
+  },
+
+  '/api/auth/password/forgot': {
+    post: {
+      tags: ['Account'],
+      summary: 'Request a password reset email',
+      description: 'Answers the same way whether or not an account exists for the email.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['email'],
+        properties: { email }
+      }),
+      responses: responses(ok(ref('Message')), 400, 429)
+    }
+  },
+
+  '/api/auth/password/reset': {
+    post: {
+      tags: ['Account'],
+      summary: 'Choose a new password with the token from a reset email',
+      description: 'Logs out every session of the user.',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: { type: 'string', minLength: 1 },
+          password
+        }
+      }),
+      responses: responses(ok(ref('Message')), 400, 429)
+    }
+  },
+
+  '/api/auth/verify-email/request': {
+    post: {
+      tags: ['Account'],
+      summary: 'Send a new verification email',
+      security: authenticated,
+      responses: responses(ok(ref('Message')), 400, 401, 404)
+    }
+  },
+
+  '/api/auth/verify-email': {
+    post: {
+      tags: ['Account'],
+      summary: 'Verify an email address with the token from a verification email',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token'],
+        properties: { token: { type: 'string', minLength: 1 } }
+      }),
+      responses: responses(ok(ref('Message')), 400)
+    }
+  }
+};
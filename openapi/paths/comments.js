@@ -0,0 +1,92 @@
+const { ref, jsonBody, ok, responses, idParam, queryParam, cursorParams, authenticated } = require('../helpers');
+
+const postId = idParam('id', 'Post ID');
+const commentId = idParam('comment_id', 'Comment ID');
+const likes = ok({ type: 'array', items: ref('Like') }, 'The likes of the comment');
+
+// Threaded comments on posts
+module.exports = {
+  '/api/posts/{id}/comments': {
+    get: {
+      tags: ['Comments'],
+      summary: 'List the comments of a post, newest first',
+      description: 'Top-level comments are listed unless `parent` asks for the replies to a comment.',
+      security: authenticated,
+      parameters: [postId, ...cursorParams, queryParam('parent', ref('ObjectId'), 'List the replies to this comment')],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['comments', 'nextCursor'],
+          properties: {
+            comments: { type: 'array', items: ref('Comment') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401,
+        404
+      )
+    }
+  },
+
+  '/api/posts/comment/{id}': {
+    post: {
+      tags: ['Comments'],
+      summary: 'Comment on a post, or reply to a comment',
+      security: authenticated,
+      parameters: [postId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['text'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          parent: { ...ref('ObjectId'), description: 'Comment being replied to, threads nest up to 3 levels' }
+        }
+      }),
+      responses: responses(ok(ref('Comment')), 400, 401, 404, 429)
+    }
+  },
+
+  '/api/posts/comment/{id}/{comment_id}': {
+    patch: {
+      tags: ['Comments'],
+      summary: 'Edit a comment',
+      security: authenticated,
+      parameters: [postId, commentId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['text'],
+        properties: { text: { type: 'string', minLength: 1 } }
+      }),
+      responses: responses(ok(ref('Comment')), 400, 401, 403, 404)
+    },
+    delete: {
+      tags: ['Comments'],
+      summary: 'Delete a comment',
+      description: 'A comment with replies is kept as a deleted placeholder.',
+      security: authenticated,
+      parameters: [postId, commentId],
+      responses: responses(ok(ref('Message')), 401, 403, 404)
+    }
+  },
+
+  '/api/posts/comment/like/{id}/{comment_id}': {
+    put: {
+      tags: ['Comments'],
+      summary: 'Like a comment',
+      security: authenticated,
+      parameters: [postId, commentId],
+      responses: responses(likes, 401, 404, 409)
+    }
+  },
+
+  '/api/posts/comment/unlike/{id}/{comment_id}': {
+    put: {
+      tags: ['Comments'],
+      summary: 'Remove a like from a comment',
+      security: authenticated,
+      parameters: [postId, commentId],
+      responses: responses(likes, 400, 401, 404)
+    }
+  }
+};
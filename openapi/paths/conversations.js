@@ -0,0 +1,108 @@
+const { ref, jsonBody, ok, responses, idParam, limitParam, beforeParam, afterParam, cursorParams, authenticated } = require('../helpers');
+
+const conversationId = idParam('id', 'Conversation ID');
+
+// Direct and group messages, also delivered live over the WebSocket at /ws
+module.exports = {
+  '/api/conversations': {
+    post: {
+      tags: ['Conversations'],
+      summary: 'Start a conversation',
+      description: 'A one-to-one conversation is reused if it already exists. More than one other participant makes a group.',
+      security: authenticated,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['participants'],
+        properties: {
+          participants: { type: 'array', minItems: 1, maxItems: 9, items: ref('ObjectId'), description: 'The other participants' },
+          name: { type: 'string', maxLength: 100, description: 'Name of a group conversation' }
+        }
+      }),
+      responses: responses(ok(ref('Conversation')), 400, 401, 404)
+    },
+    get: {
+      tags: ['Conversations'],
+      summary: 'List conversations, most recently active first',
+      security: authenticated,
+      parameters: cursorParams,
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['conversations', 'nextCursor'],
+          properties: {
+            conversations: { type: 'array', items: ref('Conversation') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401
+      )
+    }
+  },
+
+  '/api/conversations/unread-count': {
+    get: {
+      tags: ['Conversations'],
+      summary: 'Number of unread messages across all conversations',
+      security: authenticated,
+      responses: responses(ok(ref('Count')), 401)
+    }
+  },
+
+  '/api/conversations/{id}/messages': {
+    get: {
+      tags: ['Conversations'],
+      summary: 'Messages of a conversation, newest first',
+      security: authenticated,
+      parameters: [conversationId, limitParam, beforeParam, afterParam],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['messages', 'readReceipts', 'nextCursor'],
+          properties: {
+            messages: { type: 'array', items: ref('ChatMessage') },
+            readReceipts: { type: 'array', items: ref('Participant'), description: 'Each participant has read the messages sent up to their lastReadAt' },
+            nextCursor: ref('Cursor'),
+            prevCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401,
+        404
+      )
+    },
+    post: {
+      tags: ['Conversations'],
+      summary: 'Send a message',
+      security: authenticated,
+      parameters: [conversationId],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['text'],
+        properties: { text: { type: 'string', minLength: 1, maxLength: 5000 } }
+      }),
+      responses: responses(ok(ref('ChatMessage')), 400, 401, 404, 429)
+    }
+  },
+
+  '/api/conversations/{id}/read': {
+    put: {
+      tags: ['Conversations'],
+      summary: 'Mark a conversation as read up to now',
+      security: authenticated,
+      parameters: [conversationId],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['conversation', 'lastReadAt'],
+          properties: {
+            conversation: ref('ObjectId'),
+            lastReadAt: ref('DateTime')
+          }
+        }),
+        401,
+        404
+      )
+    }
+  }
+};
@@ -0,0 +1,51 @@
+const { ref, ok, responses, idParam, cursorParams, authenticated } = require('../helpers');
+
+const userId = idParam('user_id', 'User ID');
+const userPage = ok({
+  type: 'object',
+  required: ['users', 'nextCursor'],
+  properties: {
+    users: { type: 'array', items: ref('UserSummary') },
+    nextCursor: ref('Cursor')
+  }
+});
+
+// Following other users
+module.exports = {
+  '/api/follow/{user_id}': {
+    post: {
+      tags: ['Follow'],
+      summary: 'Follow a user',
+      security: authenticated,
+      parameters: [userId],
+      responses: responses(ok(ref('Message')), 400, 401, 404, 409)
+    },
+    delete: {
+      tags: ['Follow'],
+      summary: 'Unfollow a user',
+      security: authenticated,
+      parameters: [userId],
+      responses: responses(ok(ref('Message')), 400, 401, 404)
+    }
+  },
+
+  '/api/follow/{user_id}/followers': {
+    get: {
+      tags: ['Follow'],
+      summary: 'Users following a user, newest first',
+      security: authenticated,
+      parameters: [userId, ...cursorParams],
+      responses: responses(userPage, 400, 401, 404)
+    }
+  },
+
+  '/api/follow/{user_id}/following': {
+    get: {
+      tags: ['Follow'],
+      summary: 'Users followed by a user, newest first',
+      security: authenticated,
+      parameters: [userId, ...cursorParams],
+      responses: responses(userPage, 400, 401, 404)
+    }
+  }
+};
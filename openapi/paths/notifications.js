@@ -0,0 +1,69 @@
+const { ref, jsonBody, ok, responses, idParam, queryParam, cursorParams, authenticated } = require('../helpers');
+
+// Notifications, also delivered live over the WebSocket at /ws
+module.exports = {
+  '/api/notifications': {
+    get: {
+      tags: ['Notifications'],
+      summary: 'List notifications, newest first',
+      security: authenticated,
+      parameters: [...cursorParams, queryParam('unread', { type: 'boolean' }, 'Only unread notifications')],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['notifications', 'nextCursor'],
+          properties: {
+            notifications: { type: 'array', items: ref('Notification') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401
+      )
+    }
+  },
+
+  '/api/notifications/unread-count': {
+    get: {
+      tags: ['Notifications'],
+      summary: 'Number of unread notifications',
+      security: authenticated,
+      responses: responses(ok(ref('Count')), 401)
+    }
+  },
+
+  '/api/notifications/read': {
+    put: {
+      tags: ['Notifications'],
+      summary: 'Mark notifications as read',
+      description: 'Marks the given notifications, or all of them when `ids` is left out.',
+      security: authenticated,
+      requestBody: jsonBody(
+        {
+          type: 'object',
+          properties: { ids: { type: 'array', items: ref('ObjectId') } }
+        },
+        false
+      ),
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['updated'],
+          properties: { updated: { type: 'integer', minimum: 0 } }
+        }),
+        400,
+        401
+      )
+    }
+  },
+
+  '/api/notifications/{id}/read': {
+    put: {
+      tags: ['Notifications'],
+      summary: 'Mark a notification as read',
+      security: authenticated,
+      parameters: [idParam('id', 'Notification ID')],
+      responses: responses(ok(ref('Notification')), 401, 404)
+    }
+  }
+};
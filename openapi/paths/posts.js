@@ -0,0 +1,230 @@
+const {
+  ref,
+  jsonBody,
+  ok,
+  responses,
+  idParam,
+  queryParam,
+  limitParam,
+  beforeParam,
+  afterParam,
+  cursorParams,
+  authenticated
+} = require('../helpers');
+
+const postId = idParam('id', 'Post ID');
+const textBody = jsonBody({
+  type: 'object',
+  required: ['text'],
+  properties: { text: { type: 'string', minLength: 1, description: 'Markdown, #hashtags and @mentions are picked up' } }
+});
+const likes = ok({ type: 'array', items: ref('Like') }, 'The likes of the post');
+
+// Posts, the feed, hashtags, edit history, reposts and bookmarks
+module.exports = {
+  '/api/posts': {
+    get: {
+      tags: ['Posts'],
+      summary: 'List posts, newest first',
+      security: authenticated,
+      parameters: [
+        limitParam,
+        beforeParam,
+        afterParam,
+        queryParam('author', ref('ObjectId'), 'Only posts by this user'),
+        queryParam('from', { type: 'string', format: 'date-time' }, 'Only posts written at or after this time'),
+        queryParam('to', { type: 'string', format: 'date-time' }, 'Only posts written at or before this time'),
+        queryParam('hasComments', { type: 'boolean' }, 'Only posts with, or without, comments')
+      ],
+      responses: responses(ok(ref('PostPage')), 400, 401)
+    },
+    post: {
+      tags: ['Posts'],
+      summary: 'Create a post',
+      description: 'Send JSON, or multipart form data to attach up to 4 images or documents.',
+      security: authenticated,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': textBody.content['application/json'],
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['text'],
+              properties: {
+                text: { type: 'string' },
+                attachments: { type: 'array', maxItems: 4, items: { type: 'string', format: 'binary' } }
+              }
+            }
+          }
+        }
+      },
+      responses: responses(ok(ref('Post')), 400, 401, 429)
+    }
+  },
+
+  '/api/posts/feed': {
+    get: {
+      tags: ['Posts'],
+      summary: 'Posts by followed users and the user, newest first',
+      security: authenticated,
+      parameters: [limitParam, beforeParam, afterParam],
+      responses: responses(ok(ref('PostPage')), 400, 401)
+    }
+  },
+
+  '/api/posts/tag/{tag}': {
+    get: {
+      tags: ['Posts'],
+      summary: 'Posts tagged with a hashtag, newest first',
+      security: authenticated,
+      parameters: [
+        { name: 'tag', in: 'path', required: true, description: 'Hashtag, with or without the #', schema: { type: 'string' } },
+        ...cursorParams
+      ],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['tag', 'posts', 'nextCursor'],
+          properties: {
+            tag: { type: 'string' },
+            posts: { type: 'array', items: ref('Post') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401
+      )
+    }
+  },
+
+  '/api/posts/bookmarks': {
+    get: {
+      tags: ['Posts'],
+      summary: 'Posts bookmarked by the user, most recently bookmarked first',
+      security: authenticated,
+      parameters: [limitParam, beforeParam],
+      responses: responses(ok(ref('PostPage')), 400, 401)
+    }
+  },
+
+  '/api/posts/{id}': {
+    get: {
+      tags: ['Posts'],
+      summary: 'Get a post',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(ok(ref('Post')), 401, 404)
+    },
+    patch: {
+      tags: ['Posts'],
+      summary: 'Edit a post',
+      description:
+        'The previous text is kept in the revision history. Only the author can edit a post, reposts without text cannot be edited.',
+      security: authenticated,
+      parameters: [postId],
+      requestBody: textBody,
+      responses: responses(ok(ref('Post')), 400, 401, 403, 404)
+    },
+    delete: {
+      tags: ['Posts'],
+      summary: 'Delete a post with its comments, history, attachments and reposts without text',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(ok(ref('Message')), 401, 403, 404)
+    }
+  },
+
+  '/api/posts/{id}/revisions': {
+    get: {
+      tags: ['Posts'],
+      summary: 'Revision history of a post, newest first',
+      security: authenticated,
+      parameters: [postId, ...cursorParams],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['revisions', 'nextCursor'],
+          properties: {
+            revisions: { type: 'array', items: ref('PostRevision') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401,
+        404
+      )
+    }
+  },
+
+  '/api/posts/like/{id}': {
+    put: {
+      tags: ['Posts'],
+      summary: 'Like a post',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(likes, 401, 404, 409)
+    }
+  },
+
+  '/api/posts/unlike/{id}': {
+    put: {
+      tags: ['Posts'],
+      summary: 'Remove a like from a post',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(likes, 400, 401, 404)
+    }
+  },
+
+  '/api/posts/repost/{id}': {
+    post: {
+      tags: ['Posts'],
+      summary: 'Repost a post to followers',
+      description:
+        'Without text, or with blank text, the post is shared as is, once per user. With text it is a quote post, rendered like any post. Reposting a repost without text shares the post it repeats.',
+      security: authenticated,
+      parameters: [postId],
+      requestBody: {
+        required: false,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              properties: { text: { type: 'string', description: 'Text of a quote post' } }
+            }
+          }
+        }
+      },
+      responses: responses(ok(ref('Post')), 400, 401, 404, 409, 429)
+    },
+    delete: {
+      tags: ['Posts'],
+      summary: 'Undo a repost without text',
+      description: 'Quote posts are deleted like any other post.',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(ok(ref('Message')), 400, 401, 404)
+    }
+  },
+
+  '/api/posts/bookmark/{id}': {
+    put: {
+      tags: ['Posts'],
+      summary: 'Bookmark a post, only the user sees their bookmarks',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(ok(ref('Message')), 401, 404, 409)
+    }
+  },
+
+  '/api/posts/unbookmark/{id}': {
+    put: {
+      tags: ['Posts'],
+      summary: 'Remove a bookmark from a post',
+      security: authenticated,
+      parameters: [postId],
+      responses: responses(ok(ref('Message')), 400, 401, 404)
+    }
+  }
+};
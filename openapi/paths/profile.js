@@ -0,0 +1,289 @@
+const { ref, jsonBody, ok, responses, idParam, queryParam, pageParams, authenticated } = require('../helpers');
+const { DIRECTORY_SORTS } = require('../../utils/profileDirectory');
+
+const date = { type: 'string', minLength: 1, description: 'Date, e.g. 2021-06-01' };
+const optionalText = { type: 'string' };
+const nonEmpty = { type: 'string', minLength: 1 };
+
+const profileFields = {
+  status: { type: 'string', minLength: 1 },
+  skills: {
+    anyOf: [
+      { type: 'string', minLength: 1, description: 'Comma-separated skills' },
+      { type: 'array', items: { type: 'string' }, minItems: 1 }
+    ]
+  },
+  company: optionalText,
+  website: { ...optionalText, description: 'URL, normalized to https' },
+  location: optionalText,
+  bio: optionalText,
+  githubusername: optionalText,
+  youtube: optionalText,
+  twitter: optionalText,
+  instagram: optionalText,
+  linkedin: optionalText,
+  facebook: optionalText
+};
+
+const profileFieldsDescription =
+  'Skills are trimmed and deduplicated. The website and social links given as URLs are normalized.';
+
+const periodDescription =
+  '`to` is required unless `current` is true, and must not be before `from`. Setting `current` clears `to`.';
+
+const experienceFields = {
+  title: nonEmpty,
+  company: nonEmpty,
+  location: optionalText,
+  from: date,
+  to: date,
+  current: { type: 'boolean' },
+  description: optionalText
+};
+
+const educationFields = {
+  school: nonEmpty,
+  degree: nonEmpty,
+  fieldofstudy: nonEmpty,
+  from: date,
+  to: date,
+  current: { type: 'boolean' },
+  description: optionalText
+};
+
+const skillBody = jsonBody({
+  type: 'object',
+  required: ['skill'],
+  properties: { skill: nonEmpty }
+});
+
+// New order of the entries of a list, every entry listed exactly once
+function orderBody(name) {
+  return jsonBody({
+    type: 'object',
+    required: ['ids'],
+    properties: {
+      ids: { type: 'array', items: ref('ObjectId'), description: `IDs of every ${name} of the profile, in the new order` }
+    }
+  });
+}
+
+// Developer profiles, their experience and education, and the directory
+module.exports = {
+  '/api/profile': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'Search the profile directory',
+      parameters: [
+        queryParam('skills', { type: 'string' }, 'Comma-separated skills'),
+        queryParam('skillsMatch', { type: 'string', enum: ['any', 'all'], default: 'any' }, 'Whether profiles need any or all of the skills'),
+        queryParam('location', { type: 'string' }, 'Part of the location'),
+        queryParam('company', { type: 'string' }, 'Part of the company name'),
+        queryParam('status', { type: 'string' }, 'Part of the professional status'),
+        queryParam('employedAt', { type: 'string' }, 'Part of the name of a current employer'),
+        queryParam('minExperience', { type: 'number', minimum: 0 }, 'Minimum years of experience'),
+        queryParam('maxExperience', { type: 'number', minimum: 0 }, 'Maximum years of experience'),
+        queryParam('sort', { type: 'string', enum: Object.keys(DIRECTORY_SORTS) }, 'Sort order'),
+        ...pageParams
+      ],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['profiles', 'page', 'limit', 'total', 'hasMore'],
+          properties: {
+            profiles: { type: 'array', items: ref('DirectoryProfile') },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+          }
+        }),
+        400
+      )
+    },
+    post: {
+      tags: ['Profiles'],
+      summary: 'Create or replace the profile of the authenticated user',
+      description: `Fields left out or empty are cleared, experience and education are kept. ${profileFieldsDescription}`,
+      security: authenticated,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status', 'skills'],
+        properties: profileFields
+      }),
+      responses: responses(ok(ref('Profile')), 400, 401)
+    },
+    patch: {
+      tags: ['Profiles'],
+      summary: 'Change some fields of the profile of the authenticated user',
+      description: `Only the fields sent are changed, those sent empty are cleared. ${profileFieldsDescription}`,
+      security: authenticated,
+      requestBody: jsonBody({ type: 'object', properties: profileFields }),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    },
+    delete: {
+      tags: ['Profiles'],
+      summary: 'Schedule the deletion of the authenticated user',
+      description:
+        'The account is hidden from the directory and its posts from other users. It is deleted with its profile, ' +
+        'posts, comments, likes, follows and messages once the grace period set by ACCOUNT_DELETION_GRACE_DAYS ' +
+        '(30 days by default) has ended. Until then it can be restored with POST /api/users/me/deletion/cancel.',
+      security: authenticated,
+      responses: responses(ok(ref('AccountDeletion')), 401, 404, 409)
+    }
+  },
+
+  '/api/profile/handle/{handle}': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'Get the profile of a user by their handle',
+      parameters: [{ name: 'handle', in: 'path', required: true, description: 'Handle of the user', schema: { type: 'string' } }],
+      responses: {
+        ...responses(ok(ref('Profile')), 404),
+        301: {
+          description: 'The handle was renamed, the profile is at the current handle',
+          headers: { Location: { description: 'URL of the profile under the current handle', schema: { type: 'string' } } }
+        }
+      }
+    }
+  },
+
+  '/api/profile/endorse/{user_id}': {
+    put: {
+      tags: ['Profiles'],
+      summary: 'Endorse a skill on the profile of a user',
+      description: 'The skill is matched ignoring case. Users cannot endorse their own skills.',
+      security: authenticated,
+      parameters: [idParam('user_id', 'User ID')],
+      requestBody: skillBody,
+      responses: responses(ok({ type: 'array', items: ref('Endorsement') }), 400, 401, 404, 409)
+    }
+  },
+
+  '/api/profile/unendorse/{user_id}': {
+    put: {
+      tags: ['Profiles'],
+      summary: 'Take back the endorsement of a skill on the profile of a user',
+      security: authenticated,
+      parameters: [idParam('user_id', 'User ID')],
+      requestBody: skillBody,
+      responses: responses(ok({ type: 'array', items: ref('Endorsement') }), 400, 401, 404)
+    }
+  },
+
+  '/api/profile/me': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'Get the profile of the authenticated user',
+      security: authenticated,
+      responses: responses(ok(ref('Profile')), 401, 404)
+    }
+  },
+
+  '/api/profile/user/{user_id}': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'Get the profile of a user',
+      parameters: [idParam('user_id', 'User ID')],
+      responses: responses(ok(ref('Profile')), 404)
+    }
+  },
+
+  '/api/profile/github/{username}': {
+    get: {
+      tags: ['Profiles'],
+      summary: 'Latest public GitHub repositories of a user',
+      description: 'Answers are cached. 503 with Retry-After when GitHub rate limits the API.',
+      parameters: [{ name: 'username', in: 'path', required: true, description: 'GitHub username', schema: { type: 'string' } }],
+      responses: responses(ok({ type: 'array', items: ref('Repository') }), 400, 404, 502, 503)
+    }
+  },
+
+  '/api/profile/experience': {
+    put: {
+      tags: ['Profiles'],
+      summary: 'Add an experience to the profile',
+      description: periodDescription,
+      security: authenticated,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['title', 'company', 'from'],
+        properties: experienceFields
+      }),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    }
+  },
+
+  '/api/profile/experience/order': {
+    put: {
+      tags: ['Profiles'],
+      summary: 'Reorder the experience of the profile',
+      security: authenticated,
+      requestBody: orderBody('experience'),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    }
+  },
+
+  '/api/profile/experience/{exp_id}': {
+    patch: {
+      tags: ['Profiles'],
+      summary: 'Edit an experience of the profile',
+      description: `Only the fields sent are changed. ${periodDescription}`,
+      security: authenticated,
+      parameters: [idParam('exp_id', 'Experience ID')],
+      requestBody: jsonBody({ type: 'object', properties: experienceFields }),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    },
+    delete: {
+      tags: ['Profiles'],
+      summary: 'Remove an experience from the profile',
+      security: authenticated,
+      parameters: [idParam('exp_id', 'Experience ID')],
+      responses: responses(ok(ref('Profile')), 401, 404)
+    }
+  },
+
+  '/api/profile/education': {
+    put: {
+      tags: ['Profiles'],
+      summary: 'Add an education to the profile',
+      description: periodDescription,
+      security: authenticated,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['school', 'degree', 'fieldofstudy', 'from'],
+        properties: educationFields
+      }),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    }
+  },
+
+  '/api/profile/education/order': {
+    put: {
+      tags: ['Profiles'],
+      summary: 'Reorder the education of the profile',
+      security: authenticated,
+      requestBody: orderBody('education'),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    }
+  },
+
+  '/api/profile/education/{edu_id}': {
+    patch: {
+      tags: ['Profiles'],
+      summary: 'Edit an education of the profile',
+      description: `Only the fields sent are changed. ${periodDescription}`,
+      security: authenticated,
+      parameters: [idParam('edu_id', 'Education ID')],
+      requestBody: jsonBody({ type: 'object', properties: educationFields }),
+      responses: responses(ok(ref('Profile')), 400, 401, 404)
+    },
+    delete: {
+      tags: ['Profiles'],
+      summary: 'Remove an education from the profile',
+      security: authenticated,
+      parameters: [idParam('edu_id', 'Education ID')],
+      responses: responses(ok(ref('Profile')), 401, 404)
+    }
+  }
+};
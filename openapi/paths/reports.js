@@ -0,0 +1,94 @@
+const { ref, jsonBody, ok, responses, idParam, queryParam, cursorParams, authenticated } = require('../helpers');
+
+const reportId = idParam('id', 'Report ID');
+const note = { type: 'string', description: 'Moderator note stored on the closed reports' };
+
+// Reporting content and the moderation queue
+module.exports = {
+  '/api/reports': {
+    post: {
+      tags: ['Reports'],
+      summary: 'Report a post, comment or profile',
+      description: 'Content reported by enough users is hidden until a moderator reviews it.',
+      security: authenticated,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['targetType', 'targetId', 'reason'],
+        properties: {
+          targetType: { type: 'string', enum: ['post', 'comment', 'profile'] },
+          targetId: ref('ObjectId'),
+          reason: { type: 'string', enum: ['spam', 'harassment', 'hate', 'inappropriate', 'other'] },
+          details: { type: 'string', maxLength: 1000 }
+        }
+      }),
+      responses: responses(ok(ref('Report')), 400, 401, 404, 409, 429)
+    },
+    get: {
+      tags: ['Reports'],
+      summary: 'Moderation queue, newest first',
+      description: 'Needs the `reports:manage` permission. Lists pending reports unless a status is given.',
+      security: authenticated,
+      parameters: [
+        ...cursorParams,
+        queryParam('status', { type: 'string', enum: ['open', 'reviewing', 'resolved', 'dismissed'] }, 'Only reports with this status'),
+        queryParam('targetType', { type: 'string', enum: ['post', 'comment', 'profile'] }, 'Only reports on this kind of content')
+      ],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['reports', 'nextCursor'],
+          properties: {
+            reports: { type: 'array', items: ref('Report') },
+            nextCursor: ref('Cursor')
+          }
+        }),
+        400,
+        401,
+        403
+      )
+    }
+  },
+
+  '/api/reports/{id}/triage': {
+    put: {
+      tags: ['Reports'],
+      summary: 'Pick up a report for review',
+      security: authenticated,
+      parameters: [reportId],
+      responses: responses(ok(ref('Report')), 401, 403, 404, 409)
+    }
+  },
+
+  '/api/reports/{id}/resolve': {
+    put: {
+      tags: ['Reports'],
+      summary: 'Uphold a report, keeping the content hidden or removing it',
+      description: 'Closes every pending report against the same content.',
+      security: authenticated,
+      parameters: [reportId],
+      requestBody: jsonBody(
+        {
+          type: 'object',
+          properties: {
+            remove: { type: 'boolean', description: 'Delete the content, profiles stay hidden instead' },
+            note
+          }
+        },
+        false
+      ),
+      responses: responses(ok(ref('Report')), 400, 401, 403, 404, 409)
+    }
+  },
+
+  '/api/reports/{id}/dismiss': {
+    put: {
+      tags: ['Reports'],
+      summary: 'Dismiss a report, showing the content again',
+      description: 'Closes every pending report against the same content.',
+      security: authenticated,
+      parameters: [reportId],
+      requestBody: jsonBody({ type: 'object', properties: { note } }, false),
+      responses: responses(ok(ref('Report')), 401, 403, 404, 409)
+    }
+  }
+};
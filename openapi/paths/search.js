@@ -0,0 +1,33 @@
+const { ref, ok, responses, queryParam, pageParams, authenticated } = require('../helpers');
+
+// Full-text search
+module.exports = {
+  '/api/search': {
+    get: {
+      tags: ['Search'],
+      summary: 'Search posts and developer profiles, best matches first',
+      description: 'Only the first 1000 results can be paged through.',
+      security: authenticated,
+      parameters: [
+        { name: 'q', in: 'query', required: true, description: 'Search query', schema: { type: 'string', minLength: 1 } },
+        queryParam('type', { type: 'string', enum: ['all', 'posts', 'profiles'], default: 'all' }, 'Kind of content to search'),
+        ...pageParams
+      ],
+      responses: responses(
+        ok({
+          type: 'object',
+          required: ['results', 'page', 'limit', 'total', 'hasMore'],
+          properties: {
+            results: { type: 'array', items: ref('SearchResult') },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+          }
+        }),
+        400,
+        401
+      )
+    }
+  }
+};
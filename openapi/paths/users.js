@@ -0,0 +1,70 @@
+const { ref, jsonBody, ok, responses, authenticated } = require('../helpers');
+
+// Custom avatars, handles, data export and account deletion
+module.exports = {
+  '/api/users/me/avatar': {
+    put: {
+      tags: ['Users'],
+      summary: 'Upload a custom avatar',
+      description: 'The image is resized, and replaces the avatar on every post and comment of the user.',
+      security: authenticated,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              required: ['avatar'],
+              properties: { avatar: { type: 'string', format: 'binary' } }
+            }
+          }
+        }
+      },
+      responses: responses(ok(ref('User')), 400, 401)
+    },
+    delete: {
+      tags: ['Users'],
+      summary: 'Remove the custom avatar, going back to the Gravatar',
+      security: authenticated,
+      responses: responses(ok(ref('User')), 401)
+    }
+  },
+
+  '/api/users/me/handle': {
+    put: {
+      tags: ['Users'],
+      summary: 'Choose or change the handle of the authenticated user',
+      description:
+        'Handles are case-insensitive and stored lowercased. A handle given up in a rename keeps ' +
+        'redirecting to the user and cannot be taken by anyone else. Reserved words are refused.',
+      security: authenticated,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['handle'],
+        properties: {
+          handle: { type: 'string', description: '3 to 30 letters, digits or single hyphens, not starting or ending with one' }
+        }
+      }),
+      responses: responses(ok(ref('User')), 400, 401, 404, 409)
+    }
+  },
+
+  '/api/users/me/export': {
+    get: {
+      tags: ['Account'],
+      summary: 'Download everything stored about the authenticated user',
+      description: 'Sent as a JSON file attachment. Limited to a few exports a day.',
+      security: authenticated,
+      responses: responses(ok(ref('AccountExport')), 401, 404, 429)
+    }
+  },
+
+  '/api/users/me/deletion/cancel': {
+    post: {
+      tags: ['Account'],
+      summary: 'Cancel the scheduled deletion of the authenticated user',
+      security: authenticated,
+      responses: responses(ok(ref('User')), 400, 401, 404)
+    }
+  }
+};
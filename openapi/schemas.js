@@ -0,0 +1,505 @@
+const { ref, nullable } = require('./helpers');
+
+const objectId = { type: 'string', pattern: '^[a-fA-F0-9]{24}$', example: '64b7f0c2a1d3e4f5a6b7c8d9' };
+const dateTime = { type: 'string', format: 'date-time' };
+
+// Reusable schemas, referenced from the paths as #/components/schemas/<name>
+module.exports = {
+  ObjectId: objectId,
+  DateTime: dateTime,
+
+  // Opaque position in a listing, null when there is no further page
+  Cursor: nullable({ type: 'string' }),
+
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'NOT_FOUND' },
+          message: { type: 'string', example: 'Post not found' },
+          details: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['field', 'message'],
+              properties: {
+                field: { type: 'string' },
+                location: { type: 'string', enum: ['body', 'query', 'params', 'headers', 'cookies'] },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  Message: {
+    type: 'object',
+    required: ['msg'],
+    properties: { msg: { type: 'string' } }
+  },
+
+  Count: {
+    type: 'object',
+    required: ['count'],
+    properties: { count: { type: 'integer', minimum: 0 } }
+  },
+
+  Tokens: {
+    type: 'object',
+    required: ['token', 'refreshToken'],
+    properties: {
+      token: { type: 'string', description: 'Short-lived access token, sent in the `x-auth-token` header' },
+      refreshToken: { type: 'string', description: 'Single-use token exchanged for new tokens at /api/auth/refresh' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    required: ['_id', 'name', 'email'],
+    properties: {
+      _id: objectId,
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      handle: { type: 'string', description: 'Public name used in profile URLs and @mentions' },
+      avatar: { type: 'string' },
+      emailVerified: { type: 'boolean' },
+      role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+      status: { type: 'string', enum: ['active', 'suspended', 'banned'] },
+      suspendedUntil: dateTime,
+      statusReason: { type: 'string' },
+      deletionScheduledFor: { ...dateTime, description: 'Set while the account waits to be deleted' },
+      date: dateTime
+    },
+    not: { required: ['password'] }
+  },
+
+  AccountDeletion: {
+    type: 'object',
+    required: ['msg', 'deletionScheduledFor'],
+    properties: {
+      msg: { type: 'string' },
+      deletionScheduledFor: dateTime
+    }
+  },
+
+  UserSummary: {
+    type: 'object',
+    required: ['_id'],
+    properties: {
+      _id: objectId,
+      name: { type: 'string' },
+      avatar: { type: 'string' }
+    }
+  },
+
+  // A user given by ID, or with their public details when the API includes them
+  UserRef: {
+    anyOf: [objectId, ref('UserSummary')]
+  },
+
+  Like: {
+    type: 'object',
+    required: ['user'],
+    properties: {
+      _id: objectId,
+      user: objectId
+    }
+  },
+
+  Attachment: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      _id: objectId,
+      url: { type: 'string' },
+      thumbnailUrl: { type: 'string' },
+      name: { type: 'string' },
+      contentType: { type: 'string' },
+      size: { type: 'integer' },
+      width: { type: 'integer' },
+      height: { type: 'integer' }
+    }
+  },
+
+  Post: {
+    type: 'object',
+    required: ['_id', 'user', 'date'],
+    properties: {
+      _id: objectId,
+      user: objectId,
+      text: { type: 'string', description: 'Markdown source of the post, left out by reposts without text' },
+      html: { type: 'string', description: 'The text rendered to HTML, safe to display' },
+      hashtags: { type: 'array', items: { type: 'string' } },
+      mentions: { type: 'array', items: objectId },
+      attachments: { type: 'array', items: ref('Attachment') },
+      name: { type: 'string' },
+      avatar: { type: 'string' },
+      likes: { type: 'array', items: ref('Like') },
+      commentCount: { type: 'integer', minimum: 0 },
+      repostOf: nullable({
+        anyOf: [objectId, ref('Post')],
+        description: 'Post shared by this one, null when that post is hidden by reports or its author is waiting to be deleted'
+      }),
+      plainRepost: { type: 'boolean', description: 'Set on reposts without text of their own' },
+      repostCount: { type: 'integer', minimum: 0, description: 'Reposts of this post without text' },
+      quoteCount: { type: 'integer', minimum: 0, description: 'Quote posts of this post' },
+      editedAt: dateTime,
+      hidden: { type: 'boolean' },
+      pendingDeletion: { type: 'boolean', description: 'Set while the account of the author waits to be deleted' },
+      date: dateTime
+    }
+  },
+
+  PostPage: {
+    type: 'object',
+    required: ['posts', 'nextCursor'],
+    properties: {
+      posts: { type: 'array', items: ref('Post') },
+      nextCursor: ref('Cursor'),
+      prevCursor: ref('Cursor')
+    }
+  },
+
+  PostRevision: {
+    type: 'object',
+    required: ['_id', 'post', 'text', 'date'],
+    properties: {
+      _id: objectId,
+      post: objectId,
+      text: { type: 'string' },
+      date: { ...dateTime, description: 'When this version was written' },
+      replacedAt: { ...dateTime, description: 'When this version was replaced by an edit' }
+    }
+  },
+
+  Comment: {
+    type: 'object',
+    required: ['_id', 'post', 'text', 'date'],
+    properties: {
+      _id: objectId,
+      post: objectId,
+      parent: nullable(objectId),
+      depth: { type: 'integer', minimum: 0, maximum: 3 },
+      user: objectId,
+      text: { type: 'string' },
+      name: { type: 'string' },
+      avatar: { type: 'string' },
+      likes: { type: 'array', items: ref('Like') },
+      replyCount: { type: 'integer', minimum: 0 },
+      deleted: { type: 'boolean', description: 'Deleted comments with replies are kept as placeholders' },
+      editedAt: dateTime,
+      hidden: { type: 'boolean' },
+      pendingDeletion: { type: 'boolean', description: 'Set while the account of the author waits to be deleted' },
+      date: dateTime
+    }
+  },
+
+  Session: {
+    type: 'object',
+    required: ['_id', 'lastUsedAt', 'expiresAt'],
+    properties: {
+      _id: objectId,
+      userAgent: { type: 'string' },
+      ip: { type: 'string' },
+      lastUsedAt: dateTime,
+      expiresAt: dateTime,
+      date: dateTime,
+      current: { type: 'boolean', description: 'Whether this is the session making the request' }
+    }
+  },
+
+  Experience: {
+    type: 'object',
+    required: ['title', 'company', 'from'],
+    properties: {
+      _id: objectId,
+      title: { type: 'string' },
+      company: { type: 'string' },
+      location: { type: 'string' },
+      from: dateTime,
+      to: dateTime,
+      current: { type: 'boolean' },
+      description: { type: 'string' }
+    }
+  },
+
+  Education: {
+    type: 'object',
+    required: ['school', 'degree', 'fieldofstudy', 'from'],
+    properties: {
+      _id: objectId,
+      school: { type: 'string' },
+      degree: { type: 'string' },
+      fieldofstudy: { type: 'string' },
+      from: dateTime,
+      to: dateTime,
+      current: { type: 'boolean' },
+      description: { type: 'string' }
+    }
+  },
+
+  // Endorsements of one skill of a profile
+  Endorsement: {
+    type: 'object',
+    required: ['skill', 'count', 'endorsers'],
+    properties: {
+      _id: objectId,
+      skill: { type: 'string' },
+      count: { type: 'integer', minimum: 1 },
+      endorsers: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['user'],
+          properties: {
+            _id: objectId,
+            user: ref('UserRef'),
+            date: dateTime
+          }
+        }
+      }
+    }
+  },
+
+  Social: {
+    type: 'object',
+    properties: {
+      youtube: { type: 'string' },
+      twitter: { type: 'string' },
+      facebook: { type: 'string' },
+      linkedin: { type: 'string' },
+      instagram: { type: 'string' }
+    }
+  },
+
+  Profile: {
+    type: 'object',
+    required: ['_id', 'user', 'status', 'skills'],
+    properties: {
+      _id: objectId,
+      user: ref('UserRef'),
+      company: { type: 'string' },
+      website: { type: 'string' },
+      location: { type: 'string' },
+      status: { type: 'string' },
+      skills: { type: 'array', items: { type: 'string' } },
+      bio: { type: 'string' },
+      githubusername: { type: 'string' },
+      experience: { type: 'array', items: ref('Experience') },
+      education: { type: 'array', items: ref('Education') },
+      social: ref('Social'),
+      endorsements: { type: 'array', items: ref('Endorsement') },
+      hidden: { type: 'boolean' },
+      pendingDeletion: { type: 'boolean', description: 'Set while the account of the author waits to be deleted' },
+      date: dateTime
+    }
+  },
+
+  DirectoryProfile: {
+    allOf: [
+      ref('Profile'),
+      {
+        type: 'object',
+        required: ['experienceYears', 'endorsementCount'],
+        properties: {
+          user: ref('UserSummary'),
+          experienceYears: { type: 'number', description: 'Years of experience summed over every position' },
+          endorsementCount: { type: 'integer', description: 'Endorsements summed over every skill' }
+        }
+      }
+    ]
+  },
+
+  Repository: {
+    type: 'object',
+    required: ['id', 'name', 'url'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      fullName: { type: 'string' },
+      description: nullable({ type: 'string' }),
+      url: { type: 'string' },
+      language: nullable({ type: 'string' }),
+      stars: { type: 'integer' },
+      forks: { type: 'integer' },
+      watchers: { type: 'integer' },
+      fork: { type: 'boolean' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+
+  Notification: {
+    type: 'object',
+    required: ['_id', 'recipient', 'actor', 'type', 'read', 'date'],
+    properties: {
+      _id: objectId,
+      recipient: objectId,
+      actor: ref('UserRef'),
+      type: { type: 'string', enum: ['like', 'comment', 'reply', 'follow', 'mention', 'endorsement', 'repost', 'quote'] },
+      post: objectId,
+      comment: objectId,
+      skill: { type: 'string', description: 'Skill that was endorsed' },
+      read: { type: 'boolean' },
+      date: dateTime
+    }
+  },
+
+  Participant: {
+    type: 'object',
+    required: ['user', 'lastReadAt'],
+    properties: {
+      _id: objectId,
+      user: ref('UserRef'),
+      lastReadAt: { ...dateTime, description: 'Messages sent up to this time have been read' }
+    }
+  },
+
+  Conversation: {
+    type: 'object',
+    required: ['_id', 'participants', 'isGroup', 'lastMessageAt'],
+    properties: {
+      _id: objectId,
+      participants: { type: 'array', items: ref('Participant'), minItems: 2, maxItems: 10 },
+      isGroup: { type: 'boolean' },
+      name: { type: 'string' },
+      createdBy: objectId,
+      lastMessage: {
+        type: 'object',
+        properties: {
+          sender: objectId,
+          text: { type: 'string' }
+        }
+      },
+      lastMessageAt: dateTime,
+      unreadCount: { type: 'integer', minimum: 0 },
+      date: dateTime
+    }
+  },
+
+  ChatMessage: {
+    type: 'object',
+    required: ['_id', 'conversation', 'sender', 'text', 'date'],
+    properties: {
+      _id: objectId,
+      conversation: objectId,
+      sender: objectId,
+      text: { type: 'string' },
+      date: dateTime
+    }
+  },
+
+  Report: {
+    type: 'object',
+    required: ['_id', 'reporter', 'targetType', 'target', 'reason', 'status'],
+    properties: {
+      _id: objectId,
+      reporter: ref('UserRef'),
+      targetType: { type: 'string', enum: ['post', 'comment', 'profile'] },
+      target: objectId,
+      reason: { type: 'string', enum: ['spam', 'harassment', 'hate', 'inappropriate', 'other'] },
+      details: { type: 'string' },
+      status: { type: 'string', enum: ['open', 'reviewing', 'resolved', 'dismissed'] },
+      moderator: objectId,
+      note: { type: 'string' },
+      closedAt: dateTime,
+      date: dateTime
+    }
+  },
+
+  // A user followed by the exporting user, or following them
+  FollowEntry: {
+    type: 'object',
+    required: ['user', 'date'],
+    properties: {
+      user: objectId,
+      date: dateTime
+    }
+  },
+
+  AccountExport: {
+    type: 'object',
+    required: [
+      'exportedAt',
+      'account',
+      'profile',
+      'posts',
+      'postRevisions',
+      'comments',
+      'likes',
+      'following',
+      'followers',
+      'messages',
+      'bookmarks',
+      'endorsementsGiven',
+      'previousHandles'
+    ],
+    properties: {
+      exportedAt: dateTime,
+      account: ref('User'),
+      profile: nullable(ref('Profile')),
+      posts: { type: 'array', items: ref('Post') },
+      postRevisions: { type: 'array', items: ref('PostRevision'), description: 'Earlier versions of the exported posts' },
+      comments: { type: 'array', items: ref('Comment') },
+      likes: {
+        type: 'object',
+        required: ['posts', 'comments'],
+        properties: {
+          posts: { type: 'array', items: objectId, description: 'Posts liked by the user' },
+          comments: { type: 'array', items: objectId, description: 'Comments liked by the user' }
+        }
+      },
+      following: { type: 'array', items: ref('FollowEntry') },
+      followers: { type: 'array', items: ref('FollowEntry') },
+      messages: { type: 'array', items: ref('ChatMessage'), description: 'Messages sent by the user' },
+      bookmarks: {
+        type: 'array',
+        description: 'Posts bookmarked by the user',
+        items: {
+          type: 'object',
+          required: ['post', 'date'],
+          properties: { post: objectId, date: dateTime }
+        }
+      },
+      endorsementsGiven: {
+        type: 'array',
+        description: 'Skills the user endorsed on the profiles of others',
+        items: {
+          type: 'object',
+          required: ['user', 'skill', 'date'],
+          properties: { user: objectId, skill: { type: 'string' }, date: dateTime }
+        }
+      },
+      previousHandles: {
+        type: 'array',
+        description: 'Handles the user renamed away from, they still redirect to the user',
+        items: {
+          type: 'object',
+          required: ['handle', 'date'],
+          properties: { handle: { type: 'string' }, date: dateTime }
+        }
+      }
+    }
+  },
+
+  SearchResult: {
+    type: 'object',
+    required: ['type', 'score', 'item', 'highlights'],
+    properties: {
+      type: { type: 'string', enum: ['post', 'profile'] },
+      score: { type: 'number', minimum: 0, maximum: 1, description: 'Relevance, 1 for the best match of each type' },
+      item: { anyOf: [ref('Post'), ref('Profile')] },
+      highlights: {
+        type: 'object',
+        description: 'Matching fragments of each field, with the matched terms wrapped in <mark>',
+        additionalProperties: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
@@ -0,0 +1,112 @@
+// Import required modules
+const express = require("express"); // Express.js framework
+const bcrypt = require("bcryptjs"); // Library for hashing passwords
+const { check } = require("express-validator"); // Validation middleware
+const authMiddleware = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const {
+  ActionTokenError,
+  consumeActionToken,
+  revokeActionTokens,
+} = require("../../utils/actionTokens"); // Single-use emailed token helpers
+const { sendVerificationEmail, sendPasswordResetEmail } = require("../../utils/accountEmails"); // Account emails
+const { revokeAllSessions } = require("../../utils/tokens"); // Session helpers
+const { limiters } = require("../../middleware/rateLimit"); // Rate limiting middleware
+const router = express.Router(); // Create a router instance
+
+const User = require("../../models/User"); // User model
+
+// Request a password reset email
+router.post(
+  "/password/forgot",
+  limiters.passwordReset, // Limit the reset emails per IP address
+  check("email", "Please include a valid email").isEmail(), // Validate the email field
+  validate, // Respond with the validation errors, if any
+  asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email }); // Find the user by email in the database
+
+    // Email the reset link without waiting for delivery, so neither the response time nor a delivery failure
+    // tells whether the account exists
+    if (user) {
+      sendPasswordResetEmail(user).catch((err) =>
+        console.error("Could not send password reset email:", err.message)
+      );
+    }
+
+    // Respond the same way whether the account exists or not, so emails cannot be probed
+    res.json({ msg: "If an account exists for this email, a reset link has been sent" });
+  })
+);
+
+// Choose a new password using the token from a reset email
+router.post(
+  "/password/reset",
+  limiters.passwordReset, // Limit the reset attempts per IP address
+  check("token", "Token is required").notEmpty(), // Validate the token field
+  check(
+    "password",
+    "Please enter a password with 6 or more characters"
+  ).isLength({ min: 6 }), // Validate the new password
+  validate, // Respond with the validation errors, if any
+  asyncHandler(async (req, res) => {
+    // Rejects with a 400 when the token is invalid, expired or already used
+    const userId = await consumeActionToken(req.body.token, "password-reset"); // Verify and use up the token
+
+    const salt = await bcrypt.genSalt(10); // Generate a salt with 10 rounds
+    const password = await bcrypt.hash(req.body.password, salt); // Hash the new password
+    const user = await User.findByIdAndUpdate(userId, { $set: { password } }); // Store the new password
+
+    if (!user) {
+      throw new ActionTokenError("Token is invalid or has expired");
+    }
+
+    await revokeActionTokens(userId, "password-reset"); // Invalidate any other reset links
+    await revokeAllSessions(userId); // Log out every device that used the old password
+
+    res.json({ msg: "Password has been reset" });
+  })
+);
+
+// Send a new verification email to the authenticated user
+router.post(
+  "/verify-email/request",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id); // Retrieve the authenticated user
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (user.emailVerified) {
+      throw new BadRequestError("Email is already verified");
+    }
+
+    await revokeActionTokens(user.id, "email-verification"); // Only the latest link should work
+    await sendVerificationEmail(user); // Email the verification link
+
+    res.json({ msg: "Verification email sent" });
+  })
+);
+
+// Verify an email address using the token from a verification email
+router.post(
+  "/verify-email",
+  check("token", "Token is required").notEmpty(), // Validate the token field
+  validate, // Respond with the validation errors, if any
+  asyncHandler(async (req, res) => {
+    const userId = await consumeActionToken(req.body.token, "email-verification"); // Verify and use up the token
+
+    const user = await User.findByIdAndUpdate(userId, { $set: { emailVerified: true } }); // Mark the email as verified
+
+    if (!user) {
+      throw new ActionTokenError("Token is invalid or has expired");
+    }
+
+    res.json({ msg: "Email verified" });
+  })
+);
+
+module.exports = router; // Export the router to be used in the application
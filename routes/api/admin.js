@@ -0,0 +1,196 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const { check, query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const requirePermission = require("../../middleware/permission"); // Role-based permission middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, ForbiddenError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { removePost, removeComment } = require("../../utils/content"); // Content removal helpers
+const { revokeAllSessions } = require("../../utils/tokens"); // Session helpers
+const { ROLES, outranks } = require("../../utils/roles"); // Role helpers
+
+const PostModel = require("../../models/Post"); // Import the Post model for interacting with posts
+const CommentModel = require("../../models/Comment"); // Import the Comment model for interacting with comments
+const UserModel = require("../../models/User"); // Import the User model for interacting with users
+
+// No document can exist under a malformed ID
+router.param("user_id", validateObjectId("User not found"));
+router.param("id", validateObjectId("Post not found"));
+router.param("comment_id", validateObjectId("Comment does not exist"));
+
+// Find the user targeted by a moderation action, making sure the acting user may act on them
+async function findModeratedUser(req) {
+  if (req.params.user_id === req.user.id) {
+    throw new BadRequestError("You cannot moderate your own account");
+  }
+
+  const user = await UserModel.findById(req.params.user_id).select("-password");
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  // Only admins may act on staff, and nobody may act on an equally privileged account
+  if (user.role !== "user" && !outranks(req.user.role, user.role)) {
+    throw new ForbiddenError();
+  }
+
+  return user;
+}
+
+// List users, optionally filtered by role or status
+router.get(
+  "/users",
+  auth,
+  requirePermission("users:list"),
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  query("role", "Invalid role").optional().isIn(ROLES), // Validate the role filter
+  query("status", "Invalid status").optional().isIn(["active", "suspended", "banned"]), // Validate the status filter
+  validate,
+  asyncHandler(async (req, res) => {
+    const { limit, before, role, status } = req.query;
+
+    const beforeCursor = before ? decodeCursor(before) : null;
+    if (before && !beforeCursor) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (status) filter.status = status;
+
+    const { items, nextCursor } = await paginate(UserModel, filter, {
+      limit,
+      before: beforeCursor,
+    }); // Fetch one page of users
+
+    res.json({
+      users: items.map((user) => {
+        const { password, ...rest } = user.toObject(); // Never expose password hashes
+        return rest;
+      }),
+      nextCursor,
+    });
+  })
+);
+
+// Suspend a user until a given date
+router.put(
+  "/users/:user_id/suspend",
+  auth,
+  requirePermission("users:suspend"),
+  check("until", "Until must be a future date").isISO8601().custom((until) => new Date(until) > new Date()), // Validate the end of the suspension
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await findModeratedUser(req);
+
+    user.status = "suspended";
+    user.suspendedUntil = new Date(req.body.until);
+    user.statusReason = req.body.reason;
+    await user.save(); // Save the suspension
+
+    await revokeAllSessions(user.id); // Log the user out everywhere
+
+    res.json(user);
+  })
+);
+
+// Ban a user permanently
+router.put(
+  "/users/:user_id/ban",
+  auth,
+  requirePermission("users:ban"),
+  asyncHandler(async (req, res) => {
+    const user = await findModeratedUser(req);
+
+    user.status = "banned";
+    user.suspendedUntil = undefined;
+    user.statusReason = req.body.reason;
+    await user.save(); // Save the ban
+
+    await revokeAllSessions(user.id); // Log the user out everywhere
+
+    res.json(user);
+  })
+);
+
+// Lift a suspension or ban
+router.put(
+  "/users/:user_id/reinstate",
+  auth,
+  requirePermission("users:suspend"),
+  asyncHandler(async (req, res) => {
+    const user = await findModeratedUser(req);
+
+    // Lifting a ban takes the same privilege as issuing one
+    if (user.status === "banned" && req.user.role !== "admin") {
+      throw new ForbiddenError();
+    }
+
+    user.status = "active";
+    user.suspendedUntil = undefined;
+    user.statusReason = undefined;
+    await user.save(); // Save the reinstatement
+
+    res.json(user);
+  })
+);
+
+// Change the role of a user
+router.put(
+  "/users/:user_id/role",
+  auth,
+  requirePermission("users:role"),
+  check("role", "Invalid role").isIn(ROLES), // Validate the new role
+  validate,
+  asyncHandler(async (req, res) => {
+    const user = await findModeratedUser(req);
+
+    user.role = req.body.role;
+    await user.save(); // Save the new role
+
+    res.json(user);
+  })
+);
+
+// Delete any post with postID
+router.delete(
+  "/posts/:id",
+  auth,
+  requirePermission("posts:delete"),
+  asyncHandler(async (req, res) => {
+    const postExists = await PostModel.exists({ _id: req.params.id }); // Make sure the post exists
+
+    if (!postExists) {
+      throw new NotFoundError("Post not found");
+    }
+
+    await removePost(req.params.id); // Delete the post with its comments, edit history and attachments
+
+    res.json({ msg: "Post removed" });
+  })
+);
+
+// Delete any comment with commentID
+router.delete(
+  "/comments/:comment_id",
+  auth,
+  requirePermission("comments:delete"),
+  asyncHandler(async (req, res) => {
+    const comment = await CommentModel.findById(req.params.comment_id); // Find the comment to be removed
+
+    if (!comment || comment.deleted) {
+      throw new NotFoundError("Comment does not exist");
+    }
+
+    await removeComment(comment); // Remove the comment and update the thread counters
+
+    res.json({ msg: "Comment removed" });
+  })
+);
+
+module.exports = router; // Export the router with all defined routes
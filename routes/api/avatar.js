@@ -0,0 +1,78 @@
+// Importing required modules and libraries
+const express = require("express");          // Express framework for building web applications
+const authMiddleware = require("../../middleware/auth");   // Custom authentication middleware
+const asyncHandler = require("../../utils/asyncHandler");   // Forwards async errors to the error handler
+const gravatarUrl = require("../../utils/gravatar");   // Helper to get user avatars from email
+const {
+  IMAGE_TYPES,
+  UploadError,
+  createUpload,
+  handleUpload,
+  storeUpload,
+  removeUploads,
+} = require("../../utils/uploads");   // File upload helpers
+const User = require("../../models/User");   // User model for interacting with the database
+const Post = require("../../models/Post");   // Post model, posts keep a copy of the author's avatar
+const Comment = require("../../models/Comment");   // Comment model, comments keep a copy of the author's avatar
+
+// Creating an instance of Express Router
+const router = express.Router();
+
+// Only images can be used as avatars
+const avatarUpload = createUpload(IMAGE_TYPES);
+
+// Replace the avatar of a user everywhere it is shown, deleting the previously uploaded one
+async function setAvatar(user, avatar, avatarKey, avatarThumbnailKey) {
+  const previous = { key: user.avatarKey, thumbnailKey: user.avatarThumbnailKey };
+
+  user.avatar = avatar;
+  user.avatarKey = avatarKey;
+  user.avatarThumbnailKey = avatarThumbnailKey;
+  await user.save();
+
+  // Posts and comments store the author's avatar, keep them in step
+  await Post.updateMany({ user: user.id }, { $set: { avatar } });
+  await Comment.updateMany({ user: user.id }, { $set: { avatar } });
+
+  await removeUploads([previous]);
+}
+
+// Upload a custom avatar, sent as multipart form data in the `avatar` field
+router.put(
+  "/me/avatar",
+  authMiddleware,
+  handleUpload(avatarUpload.single("avatar")),   // Accept the image
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new UploadError("Avatar image is required");
+    }
+
+    let stored;
+    try {
+      const user = await User.findById(req.user.id).select("-password");   // Retrieve the authenticated user
+
+      stored = await storeUpload(req.file, "avatars");   // Store the image and its resized version
+      await setAvatar(user, stored.thumbnailUrl, stored.key, stored.thumbnailKey);   // Use the resized image as the avatar
+
+      res.json(user);
+    } catch (err) {
+      if (stored) await removeUploads([stored]).catch(() => {});   // Do not leave an unused image behind
+      throw err;
+    }
+  })
+);
+
+// Remove the custom avatar, going back to the Gravatar
+router.delete(
+  "/me/avatar",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");   // Retrieve the authenticated user
+
+    await setAvatar(user, gravatarUrl(user.email), undefined, undefined);
+
+    res.json(user);
+  })
+);
+
+module.exports = router;
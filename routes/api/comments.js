@@ -0,0 +1,207 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const { check, query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { removeComment } = require("../../utils/content"); // Content removal helpers
+const { notify } = require("../../utils/notifications"); // Notification helpers
+const { findVisiblePost } = require("../../utils/moderation"); // Finds posts the user is allowed to see
+const { withoutPendingDeletion } = require("../../utils/accountDeletion"); // Leaves out accounts waiting to be deleted
+const { limiters } = require("../../middleware/rateLimit"); // Rate limiting middleware
+
+const PostModel = require("../../models/Post"); // Import the Post model for interacting with posts
+const CommentModel = require("../../models/Comment"); // Import the Comment model for interacting with comments
+const UserModel = require("../../models/User"); // Import the User model for interacting with users
+
+// No post or comment can exist under a malformed ID
+router.param("id", validateObjectId("Post not found"));
+router.param("comment_id", validateObjectId("Comment does not exist"));
+
+// Find a comment of a post that has not been deleted
+async function findComment(req) {
+  const comment = await CommentModel.findOne({
+    _id: req.params.comment_id,
+    post: req.params.id,
+  });
+
+  if (!comment || comment.deleted) {
+    throw new NotFoundError("Comment does not exist");
+  }
+
+  return comment;
+}
+
+// Get the comments of a post with postID, one page at a time
+// Top-level comments are returned by default, pass `parent` to get the replies to a comment
+router.get(
+  "/:id/comments",
+  auth,
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  query("parent", "Parent must be a valid comment ID").optional().isMongoId(), // Validate the parent comment
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const { limit, before, parent } = req.query;
+
+    // Decode the cursor, rejecting anything that was not issued by this API
+    const beforeCursor = before ? decodeCursor(before) : null;
+    if (before && !beforeCursor) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    await findVisiblePost(req.params.id, req.user.id); // Make sure the post exists and can be seen
+
+    const { items, nextCursor } = await paginate(
+      CommentModel,
+      { post: req.params.id, parent: parent || null, hidden: { $ne: true }, ...withoutPendingDeletion(req.user.id) }, // Leave out comments hidden by reports or by their author's deletion
+      { limit, before: beforeCursor }
+    ); // Fetch one page of comments
+
+    res.json({ comments: items, nextCursor }); // Return the page and the cursor to the client
+  })
+);
+
+// Add a comment on a post with postID, optionally as a reply to another comment
+router.post(
+  "/comment/:id",
+  auth, // Authenticate the user before adding a comment
+  limiters.comment, // Limit the comments per user
+  check("text", "Text is required").notEmpty(), // Validate that the comment text is not empty
+  check("parent", "Parent must be a valid comment ID").optional().isMongoId(), // Validate the parent comment
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const user = await UserModel.findById(req.user.id).select("-password"); // Retrieve user details from the database
+    const post = await findVisiblePost(req.params.id, req.user.id); // Find the post to add the comment to
+
+    let parent = null;
+    if (req.body.parent) {
+      parent = await CommentModel.findOne({ _id: req.body.parent, post: post.id }); // Find the comment being replied to
+
+      if (!parent) {
+        throw new NotFoundError("Comment does not exist");
+      }
+
+      // Keep threads from nesting indefinitely
+      if (parent.depth >= CommentModel.MAX_DEPTH) {
+        throw new BadRequestError("Maximum reply depth reached");
+      }
+    }
+
+    const comment = await CommentModel.create({
+      post: post.id,
+      parent: parent ? parent.id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      text: req.body.text, // Get the comment text from the request body
+      name: user.name, // Set the comment author's name
+      avatar: user.avatar, // Set the comment author's avatar
+      user: req.user.id, // Set the user ID of the comment author
+      pendingDeletion: Boolean(user.deletionScheduledFor), // Hide it with the rest of the account if it is being deleted
+    });
+
+    // Keep the denormalized counters in step with the new comment
+    await PostModel.updateOne({ _id: post.id }, { $inc: { commentCount: 1 } });
+    if (parent) {
+      await CommentModel.updateOne({ _id: parent.id }, { $inc: { replyCount: 1 } });
+    }
+
+    // Let the post author know, and the author of the comment being replied to
+    await notify({ recipient: post.user, actor: req.user.id, type: "comment", post: post.id, comment: comment.id });
+    if (parent && parent.user && parent.user.toString() !== post.user.toString()) { // Blanked comments have no author to notify
+      await notify({ recipient: parent.user, actor: req.user.id, type: "reply", post: post.id, comment: comment.id });
+    }
+
+    res.json(comment); // Return the new comment to the client
+  })
+);
+
+// Edit a comment with postID and commentID
+router.patch(
+  "/comment/:id/:comment_id",
+  auth,
+  check("text", "Text is required").notEmpty(), // Validate that the comment text is not empty
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const comment = await findComment(req); // Find the comment to edit
+
+    // Check if the user is authorized to edit the comment
+    if (comment.user.toString() !== req.user.id) {
+      throw new ForbiddenError("User not authorized");
+    }
+
+    comment.text = req.body.text; // Replace the comment text
+    comment.editedAt = Date.now(); // Mark the comment as edited
+
+    await comment.save(); // Save the updated comment
+
+    res.json(comment); // Return the updated comment to the client
+  })
+);
+
+// Add a like on a comment with postID and commentID
+router.put(
+  "/comment/like/:id/:comment_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    await findVisiblePost(req.params.id, req.user.id); // Make sure the post exists and can be seen
+    const comment = await findComment(req); // Find the comment to be liked
+
+    // Check if the comment has already been liked by the user
+    if (comment.likes.some((like) => like.user.toString() === req.user.id)) {
+      throw new ConflictError("Comment already liked");
+    }
+
+    comment.likes.push({ user: req.user.id }); // Add the user's like to the comment
+
+    await comment.save(); // Save the updated comment
+
+    res.json(comment.likes); // Return the updated likes to the client
+  })
+);
+
+// Remove a like from a comment with postID and commentID
+router.put(
+  "/comment/unlike/:id/:comment_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    await findVisiblePost(req.params.id, req.user.id); // Make sure the post exists and can be seen
+    const comment = await findComment(req); // Find the comment to remove the like from
+
+    // Check if the comment has been liked by the user
+    if (!comment.likes.some((like) => like.user.toString() === req.user.id)) {
+      throw new BadRequestError("Comment has not yet been liked");
+    }
+
+    // Remove the like from the comment
+    comment.likes = comment.likes.filter(
+      ({ user }) => user.toString() !== req.user.id
+    );
+
+    await comment.save(); // Save the updated comment
+
+    res.json(comment.likes); // Return the updated likes to the client
+  })
+);
+
+// Delete a comment from a post with postID and commentID
+router.delete(
+  "/comment/:id/:comment_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const comment = await findComment(req); // Find the comment to be removed
+
+    // Check if the user is authorized to delete the comment
+    if (comment.user.toString() !== req.user.id) {
+      throw new ForbiddenError("User not authorized");
+    }
+
+    await removeComment(comment); // Remove the comment and update the thread counters
+
+    res.json({ msg: "Comment removed" }); // Return a success message to the client
+  })
+);
+
+module.exports = router; // Export the router with all defined routes
@@ -0,0 +1,263 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const mongoose = require("mongoose"); // Casts IDs for aggregation pipelines
+const router = express.Router(); // Create a router object to define routes
+const { check, query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { pushToUser } = require("../../utils/realtime"); // Real-time delivery to connected clients
+const { limiters } = require("../../middleware/rateLimit"); // Rate limiting middleware
+
+const ConversationModel = require("../../models/Conversation"); // Import the Conversation model for interacting with conversations
+const MessageModel = require("../../models/Message"); // Import the Message model for interacting with messages
+const UserModel = require("../../models/User"); // Import the User model for interacting with users
+
+// No conversation can exist under a malformed ID
+router.param("id", validateObjectId("Conversation not found"));
+
+// Validation shared by the paginated listings
+const validateLimit = [
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }),
+  validate,
+];
+
+// Find a conversation the authenticated user takes part in
+async function findConversation(req) {
+  const conversation = await ConversationModel.findOne({
+    _id: req.params.id,
+    "participants.user": req.user.id,
+  });
+
+  if (!conversation) {
+    throw new NotFoundError("Conversation not found");
+  }
+
+  return conversation;
+}
+
+// Get the participant entry of a user in a conversation
+function participantOf(conversation, userId) {
+  return conversation.participants.find(({ user }) => user.toString() === userId);
+}
+
+// Send an event to every participant of a conversation except one
+function pushToParticipants(conversation, exceptUserId, event, data) {
+  for (const { user } of conversation.participants) {
+    if (user.toString() !== exceptUserId) pushToUser(user, event, data);
+  }
+}
+
+// Start a conversation with one or more users, a one-to-one conversation is reused if it exists
+router.post(
+  "/",
+  auth,
+  check("participants", `Participants must be a list of 1 to ${ConversationModel.MAX_PARTICIPANTS - 1} user IDs`).isArray({
+    min: 1,
+    max: ConversationModel.MAX_PARTICIPANTS - 1,
+  }), // Validate the other participants
+  check("participants.*", "Invalid user ID").isMongoId(), // Validate each participant
+  check("name", "Name must be at most 100 characters").optional().isLength({ max: 100 }), // Validate the group name
+  validate,
+  asyncHandler(async (req, res) => {
+    // The creator always takes part, duplicates are ignored
+    const userIds = [...new Set([req.user.id, ...req.body.participants])];
+
+    if (userIds.length < 2) {
+      throw new BadRequestError("You cannot start a conversation with yourself");
+    }
+
+    const existingUsers = await UserModel.countDocuments({ _id: { $in: userIds } }); // Make sure every participant exists
+
+    if (existingUsers !== userIds.length) {
+      throw new NotFoundError("User not found");
+    }
+
+    const isGroup = userIds.length > 2;
+
+    if (!isGroup) {
+      const existing = await ConversationModel.findOne({
+        isGroup: false,
+        "participants.user": { $all: userIds },
+      }); // Reuse the one-to-one conversation between the two users
+
+      if (existing) return res.json(existing);
+    }
+
+    const conversation = await ConversationModel.create({
+      participants: userIds.map((user) => ({ user })),
+      isGroup,
+      name: isGroup ? req.body.name : undefined,
+      createdBy: req.user.id,
+    }); // Store the new conversation
+
+    res.json(conversation);
+  })
+);
+
+// Get the conversations of the authenticated user, most recently active first
+router.get(
+  "/",
+  auth,
+  validateLimit,
+  asyncHandler(async (req, res) => {
+    const beforeCursor = req.query.before ? decodeCursor(req.query.before) : null;
+    if (req.query.before && !beforeCursor) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    const { items, nextCursor } = await paginate(
+      ConversationModel,
+      { "participants.user": req.user.id },
+      {
+        limit: req.query.limit,
+        before: beforeCursor,
+        field: "lastMessageAt",
+        populate: { path: "participants.user", select: "name avatar" },
+      }
+    ); // Fetch one page of conversations
+
+    // Populated participants hold user documents, compare on their IDs
+    const lastReadAt = (conversation) =>
+      conversation.participants.find(({ user }) => user && user.id === req.user.id).lastReadAt;
+
+    // Count the unread messages of every conversation on the page at once
+    const unread =
+      items.length === 0
+        ? []
+        : await MessageModel.aggregate([
+            {
+              $match: {
+                sender: { $ne: new mongoose.Types.ObjectId(req.user.id) },
+                $or: items.map((conversation) => ({
+                  conversation: conversation._id,
+                  date: { $gt: lastReadAt(conversation) },
+                })),
+              },
+            },
+            { $group: { _id: "$conversation", count: { $sum: 1 } } },
+          ]);
+    const unreadCounts = new Map(unread.map(({ _id, count }) => [_id.toString(), count]));
+
+    const conversations = items.map((conversation) => ({
+      ...conversation.toObject(),
+      unreadCount: unreadCounts.get(conversation.id) || 0,
+    }));
+
+    res.json({ conversations, nextCursor });
+  })
+);
+
+// Get the number of unread messages across all conversations of the authenticated user
+router.get(
+  "/unread-count",
+  auth,
+  asyncHandler(async (req, res) => {
+    const conversations = await ConversationModel.find({ "participants.user": req.user.id }).select("participants"); // Find the user's conversations
+
+    if (conversations.length === 0) {
+      return res.json({ count: 0 });
+    }
+
+    const count = await MessageModel.countDocuments({
+      sender: { $ne: req.user.id },
+      $or: conversations.map((conversation) => ({
+        conversation: conversation.id,
+        date: { $gt: participantOf(conversation, req.user.id).lastReadAt },
+      })),
+    }); // Count the messages newer than the last read time of each conversation
+
+    res.json({ count });
+  })
+);
+
+// Get the messages of a conversation, newest first
+router.get(
+  "/:id/messages",
+  auth,
+  validateLimit,
+  asyncHandler(async (req, res) => {
+    const conversation = await findConversation(req);
+
+    const beforeCursor = req.query.before ? decodeCursor(req.query.before) : null;
+    const afterCursor = req.query.after ? decodeCursor(req.query.after) : null;
+    if ((req.query.before && !beforeCursor) || (req.query.after && !afterCursor)) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    const { items, nextCursor, prevCursor } = await paginate(
+      MessageModel,
+      { conversation: conversation.id },
+      { limit: req.query.limit, before: beforeCursor, after: afterCursor }
+    ); // Fetch one page of messages
+
+    // Read receipts: a participant has read every message sent up to their lastReadAt
+    const readReceipts = conversation.participants.map(({ user, lastReadAt }) => ({ user, lastReadAt }));
+
+    res.json({ messages: items, readReceipts, nextCursor, prevCursor });
+  })
+);
+
+// Send a message in a conversation
+router.post(
+  "/:id/messages",
+  auth,
+  limiters.message, // Limit the messages per user
+  check("text", "Text is required").trim().notEmpty(), // Validate that the message text is not empty
+  check("text", "Text must be at most 5000 characters").isLength({ max: 5000 }), // Keep messages reasonably short
+  validate,
+  asyncHandler(async (req, res) => {
+    const conversation = await findConversation(req);
+
+    const message = await MessageModel.create({
+      conversation: conversation.id,
+      sender: req.user.id,
+      text: req.body.text,
+    }); // Store the message
+
+    // Move the conversation to the top of everyone's list, the sender has read their own message
+    await ConversationModel.updateOne(
+      { _id: conversation.id, "participants.user": req.user.id },
+      {
+        $set: {
+          lastMessage: { sender: req.user.id, text: message.text },
+          lastMessageAt: message.date,
+          "participants.$.lastReadAt": message.date,
+        },
+      }
+    );
+
+    pushToParticipants(conversation, req.user.id, "message", message); // Deliver the message live
+
+    res.json(message);
+  })
+);
+
+// Mark a conversation as read up to now
+router.put(
+  "/:id/read",
+  auth,
+  asyncHandler(async (req, res) => {
+    const conversation = await findConversation(req);
+
+    const lastReadAt = new Date();
+    await ConversationModel.updateOne(
+      { _id: conversation.id, "participants.user": req.user.id },
+      { $set: { "participants.$.lastReadAt": lastReadAt } }
+    ); // Store the new read time
+
+    // Send the read receipt to the other participants
+    pushToParticipants(conversation, req.user.id, "conversation:read", {
+      conversation: conversation.id,
+      user: req.user.id,
+      lastReadAt,
+    });
+
+    res.json({ conversation: conversation.id, lastReadAt });
+  })
+);
+
+module.exports = router; // Export the router with all defined routes
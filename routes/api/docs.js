@@ -0,0 +1,16 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const swaggerUi = require("swagger-ui-express"); // Interactive documentation page
+
+const openapiDocument = require("../../openapi"); // OpenAPI description of the API
+
+// Get the OpenAPI document, e.g. to generate a client
+router.get("/openapi.json", (req, res) => {
+  res.json(openapiDocument);
+});
+
+// Browse and try the API
+router.use("/", swaggerUi.serve, swaggerUi.setup(openapiDocument));
+
+module.exports = router; // Export the router with all defined routes
@@ -0,0 +1,121 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const { query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, ConflictError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { notify } = require("../../utils/notifications"); // Notification helpers
+
+const FollowModel = require("../../models/Follow"); // Import the Follow model for interacting with follow relationships
+const UserModel = require("../../models/User"); // Import the User model for interacting with users
+
+// No user can exist under a malformed ID
+router.param("user_id", validateObjectId("User not found"));
+
+// Validation shared by the follower and following listings
+const validateListing = [
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }),
+  validate,
+];
+
+// List one page of follow relationships, returning the users on the requested side
+async function listFollows(req, res, filter, side) {
+  const beforeCursor = req.query.before ? decodeCursor(req.query.before) : null;
+  if (req.query.before && !beforeCursor) {
+    throw new BadRequestError("Invalid cursor");
+  }
+
+  const { items, nextCursor } = await paginate(FollowModel, filter, {
+    limit: req.query.limit,
+    before: beforeCursor,
+    populate: { path: side, select: "name avatar" },
+  }); // Fetch one page of follow relationships with the users attached
+
+  res.json({
+    users: items.map((follow) => follow[side]).filter(Boolean), // Skip relationships whose user no longer exists
+    nextCursor,
+  });
+}
+
+// Follow a user with userID
+router.post(
+  "/:user_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const { user_id } = req.params;
+
+    // Users cannot follow themselves
+    if (user_id === req.user.id) {
+      throw new BadRequestError("You cannot follow yourself");
+    }
+
+    const userToFollow = await UserModel.findById(user_id); // Make sure the user exists
+
+    if (!userToFollow) {
+      throw new NotFoundError("User not found");
+    }
+
+    const alreadyFollowing = await FollowModel.exists({
+      follower: req.user.id,
+      following: user_id,
+    }); // Check if the user is already followed
+
+    if (alreadyFollowing) {
+      throw new ConflictError("User already followed");
+    }
+
+    try {
+      await FollowModel.create({ follower: req.user.id, following: user_id }); // Store the follow relationship
+    } catch (err) {
+      // A concurrent request may have created the same relationship
+      if (err.code === 11000) {
+        throw new ConflictError("User already followed");
+      }
+      throw err;
+    }
+
+    await notify({ recipient: user_id, actor: req.user.id, type: "follow" }); // Let the followed user know
+
+    res.json({ msg: "User followed" });
+  })
+);
+
+// Unfollow a user with userID
+router.delete(
+  "/:user_id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const follow = await FollowModel.findOneAndDelete({
+      follower: req.user.id,
+      following: req.params.user_id,
+    }); // Remove the follow relationship if it exists
+
+    if (!follow) {
+      throw new BadRequestError("User is not followed");
+    }
+
+    res.json({ msg: "User unfollowed" });
+  })
+);
+
+// Get the users following the user with userID
+router.get(
+  "/:user_id/followers",
+  auth,
+  validateListing,
+  asyncHandler((req, res) => listFollows(req, res, { following: req.params.user_id }, "follower"))
+);
+
+// Get the users followed by the user with userID
+router.get(
+  "/:user_id/following",
+  auth,
+  validateListing,
+  asyncHandler((req, res) => listFollows(req, res, { follower: req.params.user_id }, "following"))
+);
+
+module.exports = router; // Export the router with all defined routes
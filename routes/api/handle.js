@@ -0,0 +1,34 @@
+// Importing required modules and libraries
+const express = require("express");          // Express framework for building web applications
+const { check } = require("express-validator");   // Library for request validation
+const authMiddleware = require("../../middleware/auth");   // Custom authentication middleware
+const validate = require("../../middleware/validate");   // Rejects requests that failed validation
+const asyncHandler = require("../../utils/asyncHandler");   // Forwards async errors to the error handler
+const { NotFoundError } = require("../../utils/errors");   // Typed API errors
+const { HANDLE_PATTERN, isReservedHandle, changeHandle } = require("../../utils/handles");   // Handle rules and renaming
+const User = require("../../models/User");   // User model for interacting with the database
+
+// Creating an instance of Express Router
+const router = express.Router();
+
+// Choose or change the handle of the authenticated user, the previous one redirects to the new one
+router.put(
+  "/me/handle",
+  authMiddleware,
+  check("handle", "Handle must be 3 to 30 letters, digits or single hyphens").isString().matches(HANDLE_PATTERN),   // Validate the handle format
+  check("handle", "This handle is reserved").not().custom(isReservedHandle),   // Refuse the reserved handles
+  validate,                                       // Return validation errors if any
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");   // Retrieve the authenticated user
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    await changeHandle(user, req.body.handle);   // Rejects with a 409 when the handle is taken
+
+    res.json(user);   // Return the user with the new handle
+  })
+);
+
+module.exports = router;
@@ -1,73 +1,73 @@
 // Import required modules
 const express = require("express"); // Express.js framework
 const bcrypt = require("bcryptjs"); // Library for hashing passwords
-const jwt = require("jsonwebtoken"); // JSON Web Token for user authentication
 const dotenv = require("dotenv"); // Load environment variables from a .env file
-const { check, validationResult } = require("express-validator"); // Validation middleware
+const { check } = require("express-validator"); // Validation middleware
 const authMiddleware = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { createSession } = require("../../utils/tokens"); // Session and token helpers
+const { limiters } = require("../../middleware/rateLimit"); // Rate limiting middleware
+const { lockoutRemaining, recordFailedLogin, clearFailedLogins } = require("../../utils/loginThrottle"); // Lockout after repeated failed logins
+const { BadRequestError, ForbiddenError, TooManyRequestsError } = require("../../utils/errors"); // Typed API errors
 const router = express.Router(); // Create a router instance
 dotenv.config(); // Load environment variables from .env file
 
 const User = require("../../models/User"); // User model (assuming it represents a MongoDB schema)
 
 // Get user information
-router.get("/", authMiddleware, async (req, res) => {
-  try {
+router.get(
+  "/",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
     const authenticatedUser = await User.findById(req.user.id).select("-password"); // Retrieve user information, excluding the password
     res.json(authenticatedUser); // Respond with the user data
-  } catch (err) {
-    console.error(err.message); // Log the error message
-    res.status(500).send("Server Error"); // Respond with an internal server error
-  }
-});
+  })
+);
 
 // Login request
 router.post(
   "/",
+  limiters.login, // Limit the login attempts per IP address
   check("email", "Please include a valid email").isEmail(), // Validate the email field
   check("password", "Password is required").notEmpty(), // Validate the password field
-  async (req, res) => {
-    const validationErrors = validationResult(req); // Perform validation and get the result
-    if (!validationErrors.isEmpty()) { // If there are validation errors
-      return res.status(400).json({ errors: validationErrors.array() }); // Respond with the validation errors
-    }
-
+  validate, // Respond with the validation errors, if any
+  asyncHandler(async (req, res) => {
     const { email, password } = req.body; // Extract email and password from the request body
 
-    try {
-      let user = await User.findOne({ email }); // Find the user by email in the database
+    const retryAfter = await lockoutRemaining(email, req.ip); // Check if the account is locked for this client after too many failed logins
+    if (retryAfter > 0) {
+      throw new TooManyRequestsError("Too many failed login attempts, please try again later", retryAfter);
+    }
 
-      if (!user) { // If the email is not found in the database
-        console.log("User not found"); // Log the error message (for debugging purposes)
-        return res.status(400).json({ errors: [{ msg: "Invalid Credentials" }] }); // Respond with an error indicating invalid credentials
-      }
+    let user = await User.findOne({ email }); // Find the user by email in the database
 
-      const isPasswordMatch = await bcrypt.compare(password, user.password); // Compare the provided password with the hashed password stored in the database
+    if (!user) { // If the email is not found in the database
+      await recordFailedLogin(email, req.ip); // Count the failure, so unknown emails cannot be told apart by the lockout
+      throw new BadRequestError("Invalid Credentials"); // Respond with an error indicating invalid credentials
+    }
 
-      if (!isPasswordMatch) { // If the provided password does not match the hashed password in the database
-        return res.status(400).json({ errors: [{ msg: "Invalid Credentials" }] }); // Respond with an error indicating invalid credentials
-      }
+    const isPasswordMatch = await bcrypt.compare(password, user.password); // Compare the provided password with the hashed password stored in the database
 
-      const payload = { // Prepare the payload to send user ID to the client in the JWT
-        user: {
-          id: user.id,
-        },
-      };
+    if (!isPasswordMatch) { // If the provided password does not match the hashed password in the database
+      await recordFailedLogin(email, req.ip); // Count the failure towards a lockout
+      throw new BadRequestError("Invalid Credentials"); // Respond with an error indicating invalid credentials
+    }
+
+    await clearFailedLogins(email, req.ip); // The password was right, forget earlier failures
 
-      jwt.sign( // Sign the token using the JWT secret from the environment variables
-        payload,
-        process.env.JWT_SECRET,
-        { expiresIn: "5 days" }, // Set the token expiration time to 5 days
-        (err, token) => {
-          if (err) throw err; // If an error occurs during token signing, throw the error
-          res.json({ token }); // Respond with the generated token
-        }
-      );
-    } catch (err) {
-      console.error(err.message); // Log the error message
-      res.status(500).send("Server error"); // Respond with an internal server error
+    // Refuse to log in banned users and users whose suspension has not ended yet
+    if (user.status === "banned") {
+      throw new ForbiddenError("This account has been banned");
+    }
+    if (user.status === "suspended" && user.suspendedUntil > Date.now()) {
+      throw new ForbiddenError(`This account is suspended until ${user.suspendedUntil.toISOString()}`);
     }
-  }
+
+    const tokens = await createSession(user.id, req); // Start a new session and issue an access token and a refresh token for it
+
+    res.json(tokens); // Respond with the generated tokens
+  })
 );
 
 module.exports = router; // Export the router to be used in the application
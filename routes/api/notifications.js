@@ -0,0 +1,98 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const { check, query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { pushToUser } = require("../../utils/realtime"); // Real-time delivery to connected clients
+
+const NotificationModel = require("../../models/Notification"); // Import the Notification model for interacting with notifications
+
+// No notification can exist under a malformed ID
+router.param("id", validateObjectId("Notification not found"));
+
+// Get the notifications of the authenticated user, one page at a time
+router.get(
+  "/",
+  auth,
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  query("unread", "unread must be true or false").optional().isBoolean(), // Validate the unread filter
+  validate,
+  asyncHandler(async (req, res) => {
+    const beforeCursor = req.query.before ? decodeCursor(req.query.before) : null;
+    if (req.query.before && !beforeCursor) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    const filter = { recipient: req.user.id };
+    if (req.query.unread === "true") filter.read = false;
+
+    const { items, nextCursor } = await paginate(NotificationModel, filter, {
+      limit: req.query.limit,
+      before: beforeCursor,
+      populate: { path: "actor", select: "name avatar" },
+    }); // Fetch one page of notifications
+
+    res.json({ notifications: items, nextCursor });
+  })
+);
+
+// Get the number of unread notifications of the authenticated user
+router.get(
+  "/unread-count",
+  auth,
+  asyncHandler(async (req, res) => {
+    const count = await NotificationModel.countDocuments({
+      recipient: req.user.id,
+      read: false,
+    }); // Count the unread notifications
+
+    res.json({ count });
+  })
+);
+
+// Mark notifications as read, either the given IDs or all of them
+router.put(
+  "/read",
+  auth,
+  check("ids", "ids must be a list of notification IDs").optional().isArray(), // Validate the list of notifications
+  check("ids.*", "Invalid notification ID").isMongoId(), // Validate each notification ID
+  validate,
+  asyncHandler(async (req, res) => {
+    const filter = { recipient: req.user.id, read: false };
+    if (req.body.ids) filter._id = { $in: req.body.ids };
+
+    const result = await NotificationModel.updateMany(filter, { $set: { read: true } }); // Mark the notifications as read
+
+    pushToUser(req.user.id, "notifications:read", { ids: req.body.ids || "all" }); // Keep the user's other devices in sync
+
+    res.json({ updated: result.modifiedCount });
+  })
+);
+
+// Mark a single notification as read
+router.put(
+  "/:id/read",
+  auth,
+  asyncHandler(async (req, res) => {
+    const notification = await NotificationModel.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      { $set: { read: true } },
+      { new: true }
+    ); // Mark the notification as read if it belongs to the user
+
+    if (!notification) {
+      throw new NotFoundError("Notification not found");
+    }
+
+    pushToUser(req.user.id, "notifications:read", { ids: [notification.id] }); // Keep the user's other devices in sync
+
+    res.json(notification);
+  })
+);
+
+module.exports = router; // Export the router with all defined routes
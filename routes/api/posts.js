@@ -1,126 +1,363 @@
 // Import required modules and packages
 const express = require("express"); // Express framework for creating routes
 const router = express.Router(); // Create a router object to define routes
-const { check, validationResult } = require("express-validator"); // Validation middleware for request validation
+const { check, param, query } = require("express-validator"); // Validation middleware for request validation
 const auth = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { isPlainRepost, removePost } = require("../../utils/content"); // Content removal helpers
+const { notify } = require("../../utils/notifications"); // Notification helpers
+const { withoutPendingDeletion } = require("../../utils/accountDeletion"); // Leaves out accounts waiting to be deleted
+const { findVisiblePost } = require("../../utils/moderation"); // Finds posts the user is allowed to see
+const { limiters } = require("../../middleware/rateLimit"); // Rate limiting middleware
+const { parseRichText, resolveMentions } = require("../../utils/richText"); // Markdown rendering and hashtag and mention extraction
+const {
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  createUpload,
+  handleUpload,
+  storeUpload,
+  removeUploads,
+} = require("../../utils/uploads"); // File upload helpers
+
+// Most files a single post can carry
+const MAX_ATTACHMENTS = 4;
+
+// Accept images and documents as post attachments
+const attachmentUpload = createUpload([...IMAGE_TYPES, ...DOCUMENT_TYPES]);
 
 const PostModel = require("../../models/Post"); // Import the Post model for interacting with posts
+const PostRevisionModel = require("../../models/PostRevision"); // Import the PostRevision model for interacting with post edit history
 const UserModel = require("../../models/User"); // Import the User model for interacting with users
+const FollowModel = require("../../models/Follow"); // Import the Follow model for interacting with follow relationships
+const BookmarkModel = require("../../models/Bookmark"); // Import the Bookmark model for interacting with saved posts
+
+// No post can exist under a malformed ID
+router.param("id", validateObjectId("Post not found"));
+
+// Reposts are listed with the post they share, unless reports hid it or its author is waiting to be deleted
+function repostedPost(viewerId) {
+  return { path: "repostOf", match: { hidden: { $ne: true }, ...withoutPendingDeletion(viewerId) } };
+}
+
+// Leave out reposts without text whose shared post is hidden by reports, they would show nothing
+function withoutEmptyReposts(posts) {
+  return posts.filter((post) => !(isPlainRepost(post) && !post.repostOf));
+}
+
+// Decode the before and after cursors of a listing, rejecting anything that was not issued by this API
+function pageCursors({ before, after }) {
+  const beforeCursor = before ? decodeCursor(before) : null;
+  const afterCursor = after ? decodeCursor(after) : null;
+  if ((before && !beforeCursor) || (after && !afterCursor)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return { before: beforeCursor, after: afterCursor };
+}
+
+// Render the text of a post and resolve the users it mentions
+async function richContent(text) {
+  const { html, hashtags, mentions } = parseRichText(text);
+  return { html, hashtags, mentions: await resolveMentions(mentions) };
+}
+
+// Notify users mentioned in a post, skipping those who were already mentioned before an edit
+async function notifyMentions(post, previousMentions = []) {
+  const previous = previousMentions.map((id) => id.toString());
+  for (const userId of post.mentions) {
+    if (!previous.includes(userId.toString())) {
+      await notify({ recipient: userId, actor: post.user, type: "mention", post: post.id });
+    }
+  }
+}
 
-// Adding a new post
+// Adding a new post, sent as JSON or as multipart form data with files in `attachments`
 router.post(
   "/",
   auth, // Authenticate the user before adding a post
+  limiters.post, // Limit the posts per user
+  handleUpload(attachmentUpload.array("attachments", MAX_ATTACHMENTS)), // Accept the attached files
   check("text", "Text is required").notEmpty(), // Validate that the post text is not empty
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      // If there are validation errors, return them to the client
-      return res.status(400).json({ errors: errors.array() });
-    }
-
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const attachments = [];
     try {
       const user = await UserModel.findById(req.user.id).select("-password"); // Retrieve user details from the database
 
+      for (const file of req.files || []) {
+        attachments.push(await storeUpload(file, "posts")); // Store each file and its thumbnail
+      }
+
       const newPost = new PostModel({
         text: req.body.text, // Get the post text from the request body
+        ...(await richContent(req.body.text)), // Set the rendered text, hashtags and mentions
+        attachments, // Set the stored files
         name: user.name, // Set the post author's name
         avatar: user.avatar, // Set the post author's avatar
         user: req.user.id, // Set the user ID of the post author
+        pendingDeletion: Boolean(user.deletionScheduledFor), // Hide it with the rest of the account if it is being deleted
       });
 
       const post = await newPost.save(); // Save the new post to the database
+      await notifyMentions(post); // Let the mentioned users know
 
       res.json(post); // Return the newly created post to the client
     } catch (err) {
-      console.error(err.message);
-      res.status(500).send("Server Error");
+      await removeUploads(attachments).catch(() => {}); // Do not leave files behind for a post that was not created
+      throw err;
     }
-  }
+  })
 );
 
-// Get all posts sorted by date in descending order
-router.get("/", auth, async (req, res) => {
-  try {
-    const posts = await PostModel.find().sort({ date: -1 }); // Find all posts and sort them by date in descending order
-    res.json(posts); // Return the posts to the client
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+// Get posts sorted by date in descending order, one page at a time
+router.get(
+  "/",
+  auth,
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  query("author", "Author must be a valid user ID").optional().isMongoId(), // Validate the author filter
+  query("from", "From must be a valid date").optional().isISO8601(), // Validate the start of the date range
+  query("to", "To must be a valid date").optional().isISO8601(), // Validate the end of the date range
+  query("hasComments", "hasComments must be true or false").optional().isBoolean(), // Validate the comments filter
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const { limit, author, from, to, hasComments } = req.query;
+    const cursors = pageCursors(req.query);
+
+    // Build the filter from the query parameters, leaving out content hidden by reports or by its author's deletion
+    const filter = { hidden: { $ne: true }, ...withoutPendingDeletion(req.user.id) };
+    if (author) filter.user = author;
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+    if (hasComments !== undefined) {
+      filter.commentCount = hasComments === "true" ? { $gt: 0 } : { $not: { $gt: 0 } };
+    }
+
+    const { items, nextCursor, prevCursor } = await paginate(PostModel, filter, {
+      limit,
+      ...cursors,
+      populate: repostedPost(req.user.id),
+    }); // Fetch one page of posts
+
+    res.json({ posts: withoutEmptyReposts(items), nextCursor, prevCursor }); // Return the page and the cursors to the client
+  })
+);
+
+// Get the personalized feed: posts from followed users and the user's own posts
+router.get(
+  "/feed",
+  auth,
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const cursors = pageCursors(req.query);
+
+    const followedIds = await FollowModel.find({ follower: req.user.id }).distinct("following"); // Find every user the authenticated user follows
+
+    const { items, nextCursor, prevCursor } = await paginate(
+      PostModel,
+      { user: { $in: [...followedIds, req.user.id] }, hidden: { $ne: true }, ...withoutPendingDeletion(req.user.id) }, // Include the user's own posts
+      { limit: req.query.limit, ...cursors, populate: repostedPost(req.user.id) }
+    ); // Fetch one page of the feed, reposts included
+
+    res.json({ posts: withoutEmptyReposts(items), nextCursor, prevCursor }); // Return the page and the cursors to the client
+  })
+);
+
+// Get the posts tagged with a hashtag, newest first
+router.get(
+  "/tag/:tag",
+  auth,
+  param("tag", "Invalid hashtag").matches(/^#?[\p{L}_][\p{L}\p{N}_-]{0,49}$/u), // Validate the hashtag
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const { before } = pageCursors({ before: req.query.before });
+
+    const tag = req.params.tag.replace(/^#/, "").toLowerCase(); // Hashtags are stored without the # and lowercased
+
+    const { items, nextCursor } = await paginate(
+      PostModel,
+      { hashtags: tag, hidden: { $ne: true }, ...withoutPendingDeletion(req.user.id) }, // Leave out posts hidden by reports or by their author's deletion
+      { limit: req.query.limit, before, populate: repostedPost(req.user.id) }
+    ); // Fetch one page of tagged posts
+
+    res.json({ tag, posts: items, nextCursor });
+  })
+);
+
+// Get the posts bookmarked by the user, most recently bookmarked first
+router.get(
+  "/bookmarks",
+  auth,
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const { before } = pageCursors({ before: req.query.before });
+
+    const { items, nextCursor } = await paginate(
+      BookmarkModel,
+      { user: req.user.id },
+      {
+        limit: req.query.limit,
+        before,
+        populate: {
+          path: "post",
+          match: { hidden: { $ne: true }, ...withoutPendingDeletion(req.user.id) },
+          populate: repostedPost(req.user.id),
+        },
+      }
+    ); // Fetch one page of bookmarks with their posts
+
+    // Leave out posts hidden by reports or by their author's deletion since they were bookmarked
+    const posts = withoutEmptyReposts(items.map(({ post }) => post).filter(Boolean));
+
+    res.json({ posts, nextCursor });
+  })
+);
 
 // Get a post by postID
-router.get("/:id", auth, async (req, res) => {
-  try {
-    const post = await PostModel.findById(req.params.id); // Find a post by its ID
+router.get(
+  "/:id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const post = await findVisiblePost(req.params.id, req.user.id); // Find a post by its ID
 
-    if (!post) {
-      // If the post does not exist, return a 404 Not Found status and a message
-      return res.status(404).json({ msg: "Post not found" });
+    await post.populate(repostedPost(req.user.id)); // Include the post it shares, if any
+
+    if (isPlainRepost(post) && !post.repostOf) {
+      throw new NotFoundError("Post not found");
     }
 
     res.json(post); // Return the post to the client
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+  })
+);
 
 // Delete a post by postID
-router.delete("/:id", auth, async (req, res) => {
-  try {
+router.delete(
+  "/:id",
+  auth,
+  asyncHandler(async (req, res) => {
     const post = await PostModel.findById(req.params.id); // Find the post to be deleted
 
     if (!post) {
-      // If the post does not exist, return a 404 Not Found status and a message
-      return res.status(404).json({ msg: "Post not found" });
+      throw new NotFoundError("Post not found");
     }
 
     // Check if the user is authorized to delete the post
     if (post.user.toString() !== req.user.id) {
-      // If the user is not authorized, return a 401 Unauthorized status and a message
-      return res.status(401).json({ msg: "User not authorized" });
+      throw new ForbiddenError("User not authorized");
     }
 
-    await PostModel.findByIdAndRemove(req.params.id); // Delete the post from the database
+    await removePost(req.params.id); // Delete the post with its comments, edit history and attachments
 
     res.json({ msg: "Post removed" }); // Return a success message to the client
-  } catch (err) {
-    console.error(err);
-    res.status(500).send("Server Error");
-  }
-});
+  })
+);
+
+// Edit a post with postID, keeping the previous text in its revision history
+router.patch(
+  "/:id",
+  auth,
+  check("text", "Text is required").notEmpty(), // Validate that the post text is not empty
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const post = await PostModel.findById(req.params.id); // Find the post to be edited
+
+    if (!post) {
+      throw new NotFoundError("Post not found");
+    }
+
+    // Check if the user is authorized to edit the post
+    if (post.user.toString() !== req.user.id) {
+      throw new ForbiddenError("User not authorized");
+    }
+
+    // A repost without text is counted as such on the post it shares
+    if (isPlainRepost(post)) {
+      throw new BadRequestError("Reposts without text cannot be edited");
+    }
+
+    // Nothing to record if the text did not change
+    if (post.text === req.body.text) {
+      return res.json(post);
+    }
+
+    await PostRevisionModel.create({
+      post: post.id,
+      text: post.text,
+      date: post.editedAt || post.date, // The current version was written at the last edit, or at creation
+    }); // Store the current text before replacing it
+
+    const previousMentions = post.mentions;
+    post.set({ text: req.body.text, ...(await richContent(req.body.text)) }); // Replace the post text and its rendered form
+    post.editedAt = Date.now(); // Mark the post as edited
+
+    await post.save(); // Save the updated post
+    await notifyMentions(post, previousMentions); // Let newly mentioned users know
+
+    res.json(post); // Return the updated post to the client
+  })
+);
+
+// Get the revision history of a post with postID, newest first
+router.get(
+  "/:id/revisions",
+  auth,
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    const { before } = pageCursors({ before: req.query.before });
+
+    await findVisiblePost(req.params.id, req.user.id); // Make sure the post exists and can be seen
+
+    const { items, nextCursor } = await paginate(
+      PostRevisionModel,
+      { post: req.params.id },
+      { limit: req.query.limit, before }
+    ); // Fetch one page of revisions
+
+    res.json({ revisions: items, nextCursor }); // Return the page and the cursor to the client
+  })
+);
 
 // Add a like on a post with postID
-router.put("/like/:id", auth, async (req, res) => {
-  try {
-    const post = await PostModel.findById(req.params.id); // Find the post to be liked
+router.put(
+  "/like/:id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const post = await findVisiblePost(req.params.id, req.user.id); // Find the post to be liked
 
     // Check if the post has already been liked by the user
     if (post.likes.some((like) => like.user.toString() === req.user.id)) {
-      return res.status(400).json({ msg: "Post already liked" });
+      throw new ConflictError("Post already liked");
     }
 
     post.likes.push({ user: req.user.id }); // Add the user's like to the post
 
     await post.save(); // Save the updated post
 
-    return res.json(post.likes); // Return the updated likes to the client
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+    await notify({ recipient: post.user, actor: req.user.id, type: "like", post: post.id }); // Let the author know
+
+    res.json(post.likes); // Return the updated likes to the client
+  })
+);
 
 // Remove a like from a post with postID
-router.put("/unlike/:id", auth, async (req, res) => {
-  try {
-    const post = await PostModel.findById(req.params.id); // Find the post to remove the like from
+router.put(
+  "/unlike/:id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const post = await findVisiblePost(req.params.id, req.user.id); // Find the post to remove the like from
 
     // Check if the post has been liked by the user
     if (!post.likes.some((like) => like.user.toString() === req.user.id)) {
-      return res.status(400).json({ msg: "Post has not yet been liked" });
+      throw new BadRequestError("Post has not yet been liked");
     }
 
     // Remove the like from the post
@@ -130,82 +367,139 @@ router.put("/unlike/:id", auth, async (req, res) => {
 
     await post.save(); // Save the updated post
 
-    return res.json(post.likes); // Return the updated likes to the client
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+    res.json(post.likes); // Return the updated likes to the client
+  })
+);
 
-// Add a comment on a post with postID
+// Share a post with postID with the user's followers, as is or quoted with text of their own
 router.post(
-  "/comment/:id",
-  auth, // Authenticate the user before adding a comment
-  check("text", "Text is required").notEmpty(), // Validate that the comment text is not empty
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      // If there are validation errors, return them to the client
-      return res.status(400).json({ errors: errors.array() });
+  "/repost/:id",
+  auth,
+  limiters.post, // Reposts count as posts
+  check("text", "Text must be a string").optional().isString(), // Validate the text of a quote post
+  validate, // If there are validation errors, return them to the client
+  asyncHandler(async (req, res) => {
+    let original = await findVisiblePost(req.params.id, req.user.id); // Find the post to share
+
+    // Reposting a repost without text shares the post it repeats
+    if (isPlainRepost(original)) {
+      original = await findVisiblePost(original.repostOf, req.user.id);
     }
 
-    try {
-      const user = await UserModel.findById(req.user.id).select("-password"); // Retrieve user details from the database
-      const post = await PostModel.findById(req.params.id); // Find the post to add the comment to
+    const text = (req.body.text || "").trim();
+    const quote = text !== ""; // A repost with text is a quote post, blank text makes a repost without text
+
+    if (!quote) {
+      const alreadyReposted = await PostModel.exists({
+        repostOf: original.id,
+        user: req.user.id,
+        plainRepost: true,
+      }); // Check if the post has already been reposted by the user
 
-      const newComment = {
-        text: req.body.text, // Get the comment text from the request body
-        name: user.name, // Set the comment author's name
-        avatar: user.avatar, // Set the comment author's avatar
-        user: req.user.id, // Set the user ID of the comment author
-      };
+      if (alreadyReposted) {
+        throw new ConflictError("Post already reposted");
+      }
+    }
 
-      post.comments.unshift(newComment); // Add the new comment to the beginning of the comments array
+    const user = await UserModel.findById(req.user.id).select("-password"); // Retrieve user details from the database
 
-      await post.save(); // Save the updated post
+    const newRepost = new PostModel({
+      repostOf: original.id, // Reference the shared post
+      ...(quote ? { text, ...(await richContent(text)) } : { plainRepost: true }), // Set the text of a quote post and its rendered form, or mark a repost without text
+      name: user.name, // Set the reposter's name
+      avatar: user.avatar, // Set the reposter's avatar
+      user: req.user.id, // Set the user ID of the reposter
+      pendingDeletion: Boolean(user.deletionScheduledFor), // Hide it with the rest of the account if it is being deleted
+    });
 
-      res.json(post.comments); // Return the updated comments to the client
+    let repost;
+    try {
+      repost = await newRepost.save(); // Save the repost to the database
     } catch (err) {
-      console.error(err.message);
-      res.status(500).send("Server Error");
+      // A concurrent request may have reposted the same post
+      if (err.code === 11000) {
+        throw new ConflictError("Post already reposted");
+      }
+      throw err;
     }
-  }
-);
 
-// Delete a comment from a post with postID and commentID
-router.delete("/comment/:id/:comment_id", auth, async (req, res) => {
-  try {
-    const post = await PostModel.findById(req.params.id); // Find the post to remove the comment from
+    await PostModel.updateOne(
+      { _id: original.id },
+      { $inc: quote ? { quoteCount: 1 } : { repostCount: 1 } }
+    ); // Keep the counters of the shared post in step
 
-    // Get the comment
-    const comment = post.comments.find(
-      (comment) => comment.id === req.params.comment_id
-    );
+    await notify({
+      recipient: original.user,
+      actor: req.user.id,
+      type: quote ? "quote" : "repost",
+      post: quote ? repost.id : original.id,
+    }); // Let the author know
+    if (quote) await notifyMentions(repost); // Let the users mentioned in the quote know
 
-    // Check if the comment exists
-    if (!comment) {
-      // If the comment does not exist, return a 404 Not Found status and a message
-      return res.status(404).json({ msg: "Comment does not exist" });
+    await repost.populate(repostedPost(req.user.id)); // Include the shared post
+
+    res.json(repost); // Return the repost to the client
+  })
+);
+
+// Undo a repost without text of a post with postID, quote posts are deleted like any post
+router.delete(
+  "/repost/:id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const repost = await PostModel.findOne({
+      repostOf: req.params.id,
+      user: req.user.id,
+      plainRepost: true,
+    }); // Find the user's repost of the post
+
+    if (!repost) {
+      throw new BadRequestError("Post has not yet been reposted");
     }
 
-    // Check if the user is authorized to delete the comment
-    if (comment.user.toString() !== req.user.id) {
-      // If the user is not authorized, return a 401 Unauthorized status and a message
-      return res.status(401).json({ msg: "User not authorized" });
+    await removePost(repost.id); // Delete the repost and update the counters of the shared post
+
+    res.json({ msg: "Repost removed" }); // Return a success message to the client
+  })
+);
+
+// Bookmark a post with postID, bookmarks are only visible to the user
+router.put(
+  "/bookmark/:id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const post = await findVisiblePost(req.params.id, req.user.id); // Find the post to be bookmarked
+
+    try {
+      await BookmarkModel.create({ user: req.user.id, post: post.id }); // Store the bookmark
+    } catch (err) {
+      // The user already bookmarked the post
+      if (err.code === 11000) {
+        throw new ConflictError("Post already bookmarked");
+      }
+      throw err;
     }
 
-    // Remove the comment from the post
-    post.comments = post.comments.filter(
-      ({ id }) => id !== req.params.comment_id
-    );
+    res.json({ msg: "Post bookmarked" }); // Return a success message to the client
+  })
+);
 
-    await post.save(); // Save the updated post
+// Remove a bookmark from a post with postID
+router.put(
+  "/unbookmark/:id",
+  auth,
+  asyncHandler(async (req, res) => {
+    const bookmark = await BookmarkModel.findOneAndDelete({
+      user: req.user.id,
+      post: req.params.id,
+    }); // Remove the bookmark if it exists
+
+    if (!bookmark) {
+      throw new BadRequestError("Post has not yet been bookmarked");
+    }
 
-    return res.json(post.comments); // Return the updated comments to the client
-  } catch (err) {
-    console.error(err.message);
-    return res.status(500).send("Server Error");
-  }
-});
+    res.json({ msg: "Bookmark removed" }); // Return a success message to the client
+  })
+);
 
 module.exports = router; // Export the router with all defined routes
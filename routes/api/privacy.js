@@ -0,0 +1,48 @@
+// Importing required modules and libraries
+const express = require("express");          // Express framework for building web applications
+const authMiddleware = require("../../middleware/auth");   // Custom authentication middleware
+const asyncHandler = require("../../utils/asyncHandler");   // Forwards async errors to the error handler
+const { NotFoundError } = require("../../utils/errors");   // Typed API errors
+const { buildAccountExport } = require("../../utils/accountExport");   // Account data archive
+const { cancelAccountDeletion } = require("../../utils/accountDeletion");   // Scheduled account deletion
+const { limiters } = require("../../middleware/rateLimit");   // Rate limiting middleware
+const User = require("../../models/User");   // User model for interacting with the database
+
+// Creating an instance of Express Router
+const router = express.Router();
+
+// Download everything stored about the authenticated user as a JSON file
+router.get(
+  "/me/export",
+  authMiddleware,
+  limiters.export,                                // Limit the exports per user, each one reads the whole account
+  asyncHandler(async (req, res) => {
+    const archive = await buildAccountExport(req.user.id);   // Gather the account data
+
+    if (!archive.account) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.attachment(`connectpro-export-${req.user.id}.json`);   // Offer the archive as a download
+    res.json(archive);
+  })
+);
+
+// Keep the account of the authenticated user, cancelling its scheduled deletion
+router.post(
+  "/me/deletion/cancel",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select("-password");   // Retrieve the authenticated user
+
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    await cancelAccountDeletion(user);   // Rejects with a 400 when no deletion is scheduled
+
+    res.json(user);   // Return the user, no longer scheduled for deletion
+  })
+);
+
+module.exports = router;
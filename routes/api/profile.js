@@ -1,8 +1,7 @@
 // Import required modules and libraries
 const express = require("express"); // Express framework for handling HTTP requests
-const axios = require("axios"); // Axios for making HTTP requests
 const dotenv = require("dotenv"); // dotenv for managing environment variables
-const { check, validationResult } = require("express-validator"); // Express-validator for request validation
+const { check, param, query } = require("express-validator"); // Express-validator for request validation
 dotenv.config();
 
 // Create an instance of Express router
@@ -10,116 +9,304 @@ const router = express.Router();
 
 // Import middleware and models
 const authMiddleware = require("../../middleware/auth"); // Authentication middleware
+const validate = require("../../middleware/validate"); // Validation error middleware
+const validateObjectId = require("../../middleware/objectId"); // 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Async error forwarding
+const { BadRequestError, NotFoundError, ValidationError } = require("../../utils/errors"); // Typed API errors
 const ProfileModel = require("../../models/Profile"); // Profile data model
 const UserModel = require("../../models/User"); // User data model
-const PostModel = require("../../models/Post"); // Post data model
+const { parseLimit } = require("../../utils/pagination"); // Page size helper
+const { DIRECTORY_SORTS, buildDirectoryPipeline } = require("../../utils/profileDirectory"); // Profile directory query builder
+const { fetchLatestRepos } = require("../../utils/github"); // GitHub API client with caching
+const { TEXT_FIELDS, SOCIAL_FIELDS, parseSkills, isSocialLink, buildProfileUpdate } = require("../../utils/profileFields"); // Profile field parsing
+const { endorseSkill, withdrawEndorsement, pruneEndorsements } = require("../../utils/endorsements"); // Skill endorsements
+const { notifyOnce } = require("../../utils/notifications"); // Notification helpers
+const { HANDLE_PATTERN, findUserByHandle } = require("../../utils/handles"); // Handle lookups
+const { DELETION_GRACE_DAYS, scheduleAccountDeletion } = require("../../utils/accountDeletion"); // Scheduled account deletion
+
+// GitHub usernames are alphanumeric with single hyphens, up to 39 characters
+const GITHUB_USERNAME = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+// No user, experience or education entry can exist under a malformed ID
+router.param("user_id", validateObjectId("Profile not found"));
+router.param("exp_id", validateObjectId("Experience not found"));
+router.param("edu_id", validateObjectId("Education not found"));
+
+// Nor a profile under a malformed handle
+router.param("handle", (req, res, next, handle) => {
+  next(HANDLE_PATTERN.test(handle) ? undefined : new NotFoundError("Profile not found"));
+});
 
-// Route to get the complete profile of the authenticated user
-router.get("/me", authMiddleware, async (req, res) => {
-  try {
-    const userProfile = await ProfileModel.findOne({
-      user: req.user.id, // Find the profile associated with the authenticated user
-    });
-
-    if (!userProfile) {
-      return res.status(400).json({ msg: "There is no profile for this user" });
-    }
+// Find the profile of the authenticated user
+async function findOwnProfile(req) {
+  const userProfile = await ProfileModel.findOne({ user: req.user.id });
 
-    res.json(userProfile); // Send the profile data in the response
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+  if (!userProfile) {
+    throw new NotFoundError("There is no profile for this user");
   }
-});
 
-// Route to create or update the profile of the authenticated user
+  return userProfile;
+}
+
+// Find a profile shown to other users, leaving out those hidden by reports and those of accounts waiting to be deleted
+async function findVisibleProfile(userId) {
+  const userProfile = await ProfileModel.findOne({
+    user: userId, // Find the profile associated with the specified user ID
+    hidden: { $ne: true }, // Leave out profiles hidden by reports
+  });
+  const userActive = await UserModel.exists({ _id: userId, deletionScheduledFor: null });
+
+  if (!userProfile || !userActive) throw new NotFoundError("Profile not found");
+
+  return userProfile;
+}
+
+// Include the name and avatar of the endorsers of each skill
+function withEndorsers(userProfile) {
+  return userProfile.populate({ path: "endorsements.endorsers.user", select: "name avatar" });
+}
+
+// Route to get the complete profile of the authenticated user
+router.get(
+  "/me",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
+
+    res.json(await withEndorsers(userProfile)); // Send the profile data in the response
+  })
+);
+
+// Validation of the fields of a profile, all optional when only some of them are being changed
+function profileChecks(partial = false) {
+  const required = (chain) => (partial ? chain.optional() : chain);
+  return [
+    required(check("status", "Status is required")).isString().trim().notEmpty(), // Validate the "status" field in the request body
+    required(check("skills", "Skills is required")).custom((skills) => parseSkills(skills).length > 0), // Validate the "skills" field, an array or a comma separated string
+    check([...TEXT_FIELDS, ...SOCIAL_FIELDS], "Must be text").optional({ values: "null" }).isString(), // Validate the other text fields
+    check("website", "Website must be a valid URL").optional({ values: "falsy" }).isURL(), // Validate the "website" field in the request body
+    check(SOCIAL_FIELDS, "Must be a URL or a handle").optional({ values: "falsy" }).custom(isSocialLink), // Validate the social links
+    check("githubusername", "Invalid GitHub username")
+      .optional({ values: "falsy" })
+      .matches(GITHUB_USERNAME), // Validate the GitHub username format
+  ];
+}
+
+// Route to create or replace the profile of the authenticated user
+// Fields left out or empty are cleared, experience and education are kept
 router.post(
   "/",
   authMiddleware,
-  check("status", "Status is required").notEmpty(), // Validate the "status" field in the request body
-  check("skills", "Skills is required").notEmpty(), // Validate the "skills" field in the request body
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() }); // Send validation errors in the response
-    }
+  profileChecks(), // Validate the profile fields
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const update = await buildProfileUpdate(req.body); // Build the update from every profile field
+    update.$set.user = req.user.id; // Associate the profile with the authenticated user
+    update.$setOnInsert = {
+      pendingDeletion: Boolean(await UserModel.exists({ _id: req.user.id, deletionScheduledFor: { $exists: true } })),
+    }; // A profile created while the account waits to be deleted is hidden with the rest of it
+
+    // Add or update the profile in the database
+    const updatedProfile = await ProfileModel.findOneAndUpdate(
+      { user: req.user.id }, // Search for the profile associated with the authenticated user
+      update, // Set the profile fields and clear the empty ones
+      { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true } // Options: create if not found (upsert), return the updated document (new), set default values if inserting (setDefaultsOnInsert), check the schema (runValidators)
+    );
+    const userProfile = await pruneEndorsements(updatedProfile); // Drop the endorsements of skills no longer listed
+
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
 
-    // Destructure the request body to get the relevant fields
-    const { website, skills, youtube, twitter, instagram, linkedin, facebook } =
-      req.body;
+// Route to change some fields of the profile of the authenticated user
+// Only the fields sent are changed, those sent empty are cleared
+router.patch(
+  "/",
+  authMiddleware,
+  profileChecks(true), // Validate the profile fields that were sent
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    await findOwnProfile(req); // Make sure the profile exists
+
+    const update = await buildProfileUpdate(req.body, { partial: true }); // Build the update from the fields sent
+
+    const updatedProfile = await ProfileModel.findOneAndUpdate(
+      { user: req.user.id }, // Search for the profile associated with the authenticated user
+      update, // Apply the changes
+      { new: true, runValidators: true } // Options: return the updated document (new), check the schema (runValidators)
+    );
+    const userProfile = await pruneEndorsements(updatedProfile); // Drop the endorsements of skills no longer listed
+
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
 
-    // Build the profile fields object
-    const profileFields = {
-      user: req.user.id, // Associate the profile with the authenticated user
-      website: website,
-      skills: skills.split(","), // Split skills into an array
-    };
+// Route to search the profile directory, one page at a time
+router.get(
+  "/",
+  query("skills", "Skills must be text or a list of text") // Validate the skills, repeated or comma separated
+    .optional()
+    .custom((skills) => typeof skills === "string" || (Array.isArray(skills) && skills.every((skill) => typeof skill === "string"))),
+  query(["location", "company", "status", "employedAt"], "Must be text").optional().isString(), // Validate the text filters, given once
+  query("skillsMatch", "skillsMatch must be any or all").optional().isIn(["any", "all"]), // Validate how skills are matched
+  query("minExperience", "minExperience must be a positive number").optional().isFloat({ min: 0 }), // Validate the minimum years of experience
+  query("maxExperience", "maxExperience must be a positive number").optional().isFloat({ min: 0 }), // Validate the maximum years of experience
+  query("sort", `Sort must be one of ${Object.keys(DIRECTORY_SORTS).join(", ")}`).optional().isIn(Object.keys(DIRECTORY_SORTS)), // Validate the sort order
+  query("page", "Page must be a positive number").optional().isInt({ min: 1 }), // Validate the page number
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseLimit(req.query.limit);
+
+    const [{ profiles, total }] = await ProfileModel.aggregate(
+      buildDirectoryPipeline({ ...req.query, page, limit })
+    ); // Find the matching profiles in the database
+
+    res.json({ profiles, page, limit, total, hasMore: page * limit < total }); // Send the page of profiles in the response
+  })
+);
 
-    // Build the social handles object
-    const socialHandles = { youtube, twitter, instagram, linkedin, facebook };
+// Route to get a profile by user ID
+router.get(
+  "/user/:user_id",
+  asyncHandler(async ({ params: { user_id } }, res) => {
+    const userProfile = await findVisibleProfile(user_id); // Find the profile associated with the specified user ID
 
-    // Remove any empty or undefined social handles
-    for (const [key, value] of Object.entries(socialHandles)) {
-      if (value && value.length > 0) socialHandles[key] = value;
-    }
+    res.json(await withEndorsers(userProfile)); // Send the profile data in the response
+  })
+);
 
-    // Add the social handles to the profileFields object
-    profileFields.social = socialHandles;
-
-    try {
-      // Add or update the profile in the database
-      let userProfile = await ProfileModel.findOneAndUpdate(
-        { user: req.user.id }, // Search for the profile associated with the authenticated user
-        { $set: profileFields }, // Set the updated profile fields
-        { new: true, upsert: true, setDefaultsOnInsert: true } // Options: create if not found (upsert), return the updated document (new), set default values if inserting (setDefaultsOnInsert)
-      );
-      return res.json(userProfile); // Send the updated profile data in the response
-    } catch (err) {
-      console.error(err.message);
-      return res.status(500).send("Server Error");
+// Route to get a profile by the handle of its user
+// Handles given up in a rename answer with a permanent redirect to the current one
+router.get(
+  "/handle/:handle",
+  asyncHandler(async (req, res) => {
+    const found = await findUserByHandle(req.params.handle); // Find the user the handle belongs to, now or before a rename
+
+    // Accounts waiting to be deleted are no longer shown
+    if (!found || found.user.deletionScheduledFor) throw new NotFoundError("Profile not found");
+
+    if (found.renamed) {
+      return res.redirect(301, `${req.baseUrl}/handle/${found.user.handle}`); // Send the client to the current handle
     }
-  }
+
+    const userProfile = await findVisibleProfile(found.user.id); // Find the profile associated with the user
+
+    res.json(await withEndorsers(userProfile)); // Send the profile data in the response
+  })
 );
 
-// Route to get all profiles
-router.get("/", async (req, res) => {
-  try {
-    const profiles = await ProfileModel.find(); // Find all profiles in the database
-    res.json(profiles); // Send the profiles data in the response
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
-  }
-});
+// Route to endorse a skill on the profile of a user
+router.put(
+  "/endorse/:user_id",
+  authMiddleware,
+  check("skill", "Skill is required").isString().trim().notEmpty(), // Validate the "skill" field in the request body
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findVisibleProfile(req.params.user_id); // Find the profile to endorse
 
-// Route to get a profile by user ID
-router.get("/user/:user_id", async ({ params: { user_id } }, res) => {
-  try {
-    const userProfile = await ProfileModel.findOne({
-      user: user_id, // Find the profile associated with the specified user ID
-    });
-
-    if (!userProfile) return res.status(400).json({ msg: "Profile not found" });
-
-    return res.json(userProfile); // Send the profile data in the response
-  } catch (err) {
-    console.error(err.message);
-    return res.status(500).json({ msg: "Server error" });
+    const { profile: endorsedProfile, skill } = await endorseSkill(userProfile, req.body.skill, req.user.id); // Rejects self-endorsements and duplicates
+
+    await notifyOnce({ recipient: userProfile.user, actor: req.user.id, type: "endorsement", skill }); // Let the owner know, once per skill and endorser
+
+    res.json(endorsedProfile.endorsements); // Send the updated endorsements in the response
+  })
+);
+
+// Route to take back the endorsement of a skill on the profile of a user
+router.put(
+  "/unendorse/:user_id",
+  authMiddleware,
+  check("skill", "Skill is required").isString().trim().notEmpty(), // Validate the "skill" field in the request body
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findVisibleProfile(req.params.user_id); // Find the endorsed profile
+
+    const updatedProfile = await withdrawEndorsement(userProfile, req.body.skill, req.user.id); // Rejects skills the user has not endorsed
+
+    res.json(updatedProfile.endorsements); // Send the updated endorsements in the response
+  })
+);
+
+// Route to get the latest public GitHub repositories of a user
+router.get(
+  "/github/:username",
+  param("username", "Invalid GitHub username").matches(GITHUB_USERNAME), // Validate the GitHub username format
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    // Unknown users answer 404, an unavailable or rate limited GitHub answers 502 or 503 with Retry-After
+    const repos = await fetchLatestRepos(req.params.username); // Fetch the repositories, from the cache when fresh
+    res.json(repos); // Send the normalized repositories in the response
+  })
+);
+
+// Route to delete the authenticated user with their profile and content, once the grace period has ended
+// Until then the account can be restored with POST /api/users/me/deletion/cancel
+router.delete(
+  "/",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const user = await UserModel.findById(req.user.id); // Retrieve the authenticated user
+
+    if (!user) throw new NotFoundError("User not found");
+
+    await scheduleAccountDeletion(user); // Mark the account for deletion
+
+    res.json({
+      msg: `Account will be deleted in ${DELETION_GRACE_DAYS} days`,
+      deletionScheduledFor: user.deletionScheduledFor,
+    }); // Tell the user when the account will be gone
+  })
+);
+
+// Fields of an experience entry that the user can set
+const EXPERIENCE_FIELDS = ["title", "company", "location", "from", "to", "current", "description"];
+
+// Fields of an education entry that the user can set
+const EDUCATION_FIELDS = ["school", "degree", "fieldofstudy", "from", "to", "current", "description"];
+
+// Keep only the given fields of a request body
+function pickFields(body, fields) {
+  return Object.fromEntries(fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]]));
+}
+
+// Check the dates of an experience or education entry once the changes are applied
+// Current entries have no end date, the others need one that is not before the start
+function checkPeriod(entry) {
+  if (entry.current) {
+    entry.to = undefined;
+    return;
   }
-});
 
-// Route to delete the profile, user & posts of the authenticated user
-router.delete("/", authMiddleware, async (req, res) => {
-  try {
-    await PostModel.deleteMany({ user: req.user.id }); // Delete all posts made by the user
-    await ProfileModel.findOneAndRemove({ user: req.user.id }); // Delete the profile
-    await UserModel.findOneAndRemove({ _id: req.user.id }); // Delete user data
-    res.json({ msg: "User deleted" }); // Send a success message in the response
-  } catch (err) {
-    console.error(err.message);
-    res.status(500).send("Server Error");
+  if (!entry.to) {
+    throw new ValidationError([{ field: "to", location: "body", message: "To date is required unless current is set" }]);
+  }
+  if (entry.to < entry.from) {
+    throw new ValidationError([{ field: "to", location: "body", message: "To date must not be before the from date" }]);
+  }
+}
+
+// Put the entries of an experience or education list in the order of the given IDs
+// The IDs must list every entry exactly once
+function reorderEntries(entries, ids, name) {
+  const current = entries.map((entry) => entry.id);
+  if (ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every((id) => current.includes(id))) {
+    throw new BadRequestError(`Order must list every ${name} exactly once`);
   }
-});
+
+  return ids.map((id) => entries.id(id));
+}
+
+// Validation of the dates of an entry, all optional when the entry is being edited
+function periodChecks(optional = false) {
+  const from = check("from", "From date must be a valid date");
+  return [
+    optional ? from.optional().isISO8601() : from.isISO8601(), // Validate the "from" field in the request body
+    check("to", "To date must be a valid date").optional().isISO8601(), // Validate the "to" field, not needed for current entries
+    check("current", "Current must be true or false").optional().isBoolean(), // Validate the "current" field in the request body
+  ];
+}
 
 // Route to add profile experience for the authenticated user
 router.put(
@@ -127,45 +314,75 @@ router.put(
   authMiddleware,
   check("title", "Title is required").notEmpty(), // Validate the "title" field in the request body
   check("company", "Company is required").notEmpty(), // Validate the "company" field in the request body
-  check("from", "From date is required").notEmpty(), // Validate the "from" field in the request body
-  check("to", "From date is required").notEmpty(), // Validate the "to" field in the request body
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() }); // Send validation errors in the response
-    }
+  periodChecks(), // Validate the dates of the experience
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
 
-    try {
-      const userProfile = await ProfileModel.findOne({ user: req.user.id }); // Find the profile associated with the authenticated user
+    userProfile.experience.unshift(pickFields(req.body, EXPERIENCE_FIELDS)); // Add the new experience to the beginning of the experience array
+    checkPeriod(userProfile.experience[0]); // Check the dates of the new experience
 
-      userProfile.experience.unshift(req.body); // Add the new experience to the beginning of the experience array
+    await userProfile.save(); // Save the updated profile
 
-      await userProfile.save(); // Save the updated profile
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
 
-      res.json(userProfile); // Send the updated profile data in the response
-    } catch (err) {
-      console.error(err.message);
-      res.status(500).send("Server Error");
-    }
-  }
+// Route to put the experience of the authenticated user in a new order
+router.put(
+  "/experience/order",
+  authMiddleware,
+  check("ids", "IDs must be a list of experience IDs").isArray(), // Validate the "ids" field in the request body
+  check("ids.*", "IDs must be a list of experience IDs").isMongoId(), // Validate every ID in the list
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
+
+    userProfile.experience = reorderEntries(userProfile.experience, req.body.ids, "experience"); // Apply the new order
+
+    await userProfile.save(); // Save the updated profile
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
+
+// Route to edit an experience of the authenticated user, only the fields sent are changed
+router.patch(
+  "/experience/:exp_id",
+  authMiddleware,
+  check("title", "Title cannot be empty").optional().notEmpty(), // Validate the "title" field in the request body
+  check("company", "Company cannot be empty").optional().notEmpty(), // Validate the "company" field in the request body
+  periodChecks(true), // Validate the dates of the experience
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
+
+    const experience = userProfile.experience.id(req.params.exp_id); // Find the experience to be edited
+    if (!experience) throw new NotFoundError("Experience not found");
+
+    experience.set(pickFields(req.body, EXPERIENCE_FIELDS)); // Apply the changes
+    checkPeriod(experience); // Check the dates of the edited experience
+
+    await userProfile.save(); // Save the updated profile
+    res.json(userProfile); // Send the updated profile data in the response
+  })
 );
 
 // Route to delete experience from the profile of the authenticated user
-router.delete("/experience/:exp_id", authMiddleware, async (req, res) => {
-  try {
-    const userProfile = await ProfileModel.findOne({ user: req.user.id }); // Find the profile associated with the authenticated user
+router.delete(
+  "/experience/:exp_id",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
 
-    userProfile.experience = userProfile.experience.filter(
-      (exp) => exp._id.toString() !== req.params.exp_id
-    ); // Filter out the experience to be deleted from the experience array
+    const experience = userProfile.experience.id(req.params.exp_id); // Find the experience to be deleted
+    if (!experience) throw new NotFoundError("Experience not found");
+
+    experience.deleteOne(); // Remove the experience from the experience array
 
     await userProfile.save(); // Save the updated profile
-    return res.status(200).json(userProfile); // Send the updated profile data in the response
-  } catch (error) {
-    console.error(error);
-    return res.status(500).json({ msg: "Server error" });
-  }
-});
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
 
 // Route to add profile education for the authenticated user
 router.put(
@@ -174,45 +391,76 @@ router.put(
   check("school", "School is required").notEmpty(), // Validate the "school" field in the request body
   check("degree", "Degree is required").notEmpty(), // Validate the "degree" field in the request body
   check("fieldofstudy", "Field of study is required").notEmpty(), // Validate the "fieldofstudy" field in the request body
-  check("from", "From date is required").notEmpty(), // Validate the "from" field in the request body
-  check("to", "From date is required").notEmpty(), // Validate the "to" field in the request body
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() }); // Send validation errors in the response
-    }
+  periodChecks(), // Validate the dates of the education
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
 
-    try {
-      const userProfile = await ProfileModel.findOne({ user: req.user.id }); // Find the profile associated with the authenticated user
+    userProfile.education.unshift(pickFields(req.body, EDUCATION_FIELDS)); // Add the new education to the beginning of the education array
+    checkPeriod(userProfile.education[0]); // Check the dates of the new education
 
-      userProfile.education.unshift(req.body); // Add the new education to the beginning of the education array
+    await userProfile.save(); // Save the updated profile
 
-      await userProfile.save(); // Save the updated profile
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
 
-      res.json(userProfile); // Send the updated profile data in the response
-    } catch (err) {
-      console.error(err.message);
-      res.status(500).send("Server Error");
-    }
-  }
+// Route to put the education of the authenticated user in a new order
+router.put(
+  "/education/order",
+  authMiddleware,
+  check("ids", "IDs must be a list of education IDs").isArray(), // Validate the "ids" field in the request body
+  check("ids.*", "IDs must be a list of education IDs").isMongoId(), // Validate every ID in the list
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
+
+    userProfile.education = reorderEntries(userProfile.education, req.body.ids, "education"); // Apply the new order
+
+    await userProfile.save(); // Save the updated profile
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
+
+// Route to edit an education of the authenticated user, only the fields sent are changed
+router.patch(
+  "/education/:edu_id",
+  authMiddleware,
+  check("school", "School cannot be empty").optional().notEmpty(), // Validate the "school" field in the request body
+  check("degree", "Degree cannot be empty").optional().notEmpty(), // Validate the "degree" field in the request body
+  check("fieldofstudy", "Field of study cannot be empty").optional().notEmpty(), // Validate the "fieldofstudy" field in the request body
+  periodChecks(true), // Validate the dates of the education
+  validate, // Send validation errors in the response
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
+
+    const education = userProfile.education.id(req.params.edu_id); // Find the education to be edited
+    if (!education) throw new NotFoundError("Education not found");
+
+    education.set(pickFields(req.body, EDUCATION_FIELDS)); // Apply the changes
+    checkPeriod(education); // Check the dates of the edited education
+
+    await userProfile.save(); // Save the updated profile
+    res.json(userProfile); // Send the updated profile data in the response
+  })
 );
 
 // Route to delete education from the profile of the authenticated user
-router.delete("/education/:edu_id", authMiddleware, async (req, res) => {
-  try {
-    const userProfile = await ProfileModel.findOne({ user: req.user.id }); // Find the profile associated with the authenticated user
+router.delete(
+  "/education/:edu_id",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const userProfile = await findOwnProfile(req); // Find the profile associated with the authenticated user
+
+    const education = userProfile.education.id(req.params.edu_id); // Find the education to be deleted
+    if (!education) throw new NotFoundError("Education not found");
 
-    userProfile.education = userProfile.education.filter(
-      (edu) => edu._id.toString() !== req.params.edu_id
-    ); // Filter out the education to be deleted from the education array
+    education.deleteOne(); // Remove the education from the education array
 
     await userProfile.save(); // Save the updated profile
-    return res.status(200).json(userProfile); // Send the updated profile data in the response
-  } catch (error) {
-    console.error(error);
-    return res.status(500).json({ msg: "Server error" });
-  }
-});
+    res.json(userProfile); // Send the updated profile data in the response
+  })
+);
 
 // Export the router to use in the main application
 module.exports = router;
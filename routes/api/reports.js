@@ -0,0 +1,201 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const { check, query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const requirePermission = require("../../middleware/permission"); // Role-based permission middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const validateObjectId = require("../../middleware/objectId"); // Answers 404 for malformed IDs
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { BadRequestError, ConflictError, NotFoundError } = require("../../utils/errors"); // Typed API errors
+const { decodeCursor, paginate } = require("../../utils/pagination"); // Cursor pagination helpers
+const { removePost, removeComment } = require("../../utils/content"); // Content removal helpers
+const {
+  REPORT_TARGETS,
+  PENDING_STATUSES,
+  findReportTarget,
+  applyReportThreshold,
+  setHidden,
+} = require("../../utils/moderation"); // Report moderation helpers
+
+const { limiters } = require("../../middleware/rateLimit"); // Rate limiting middleware
+
+const ReportModel = require("../../models/Report"); // Import the Report model for interacting with reports
+
+const REASONS = ["spam", "harassment", "hate", "inappropriate", "other"];
+const STATUSES = ["open", "reviewing", "resolved", "dismissed"];
+
+// No report can exist under a malformed ID
+router.param("id", validateObjectId("Report not found"));
+
+// Find a pending report for a moderation action
+async function findPendingReport(req) {
+  const report = await ReportModel.findById(req.params.id);
+
+  if (!report) {
+    throw new NotFoundError("Report not found");
+  }
+
+  if (!PENDING_STATUSES.includes(report.status)) {
+    throw new ConflictError("Report is already closed");
+  }
+
+  return report;
+}
+
+// Close every pending report against the same content as a report
+async function closeReports(report, status, req) {
+  await ReportModel.updateMany(
+    {
+      targetType: report.targetType,
+      target: report.target,
+      status: { $in: PENDING_STATUSES },
+    },
+    {
+      $set: {
+        status,
+        moderator: req.user.id,
+        note: req.body.note,
+        closedAt: Date.now(),
+      },
+    }
+  );
+}
+
+// Report a post, comment or profile
+router.post(
+  "/",
+  auth,
+  limiters.report, // Limit the reports per user
+  check("targetType", "Target type must be post, comment or profile").isIn(Object.keys(REPORT_TARGETS)), // Validate the kind of content
+  check("targetId", "Invalid target ID").isMongoId(), // Validate the reported content
+  check("reason", `Reason must be one of ${REASONS.join(", ")}`).isIn(REASONS), // Validate the reason
+  check("details", "Details must be at most 1000 characters").optional().isLength({ max: 1000 }), // Validate the details
+  validate,
+  asyncHandler(async (req, res) => {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const target = await findReportTarget(targetType, targetId); // Make sure the content exists
+
+    if (!target) {
+      throw new NotFoundError("Reported content not found");
+    }
+
+    // Users cannot report their own content
+    if (target.user && target.user.toString() === req.user.id) {
+      throw new BadRequestError("You cannot report your own content");
+    }
+
+    let report;
+    try {
+      report = await ReportModel.create({
+        reporter: req.user.id,
+        targetType,
+        target: targetId,
+        reason,
+        details,
+      }); // Store the report
+    } catch (err) {
+      // The user already reported this content
+      if (err.code === 11000) {
+        throw new ConflictError("You have already reported this content");
+      }
+      throw err;
+    }
+
+    await applyReportThreshold(targetType, targetId); // Hide the content if enough users reported it
+
+    res.json(report);
+  })
+);
+
+// Get the moderation queue, newest reports first
+router.get(
+  "/",
+  auth,
+  requirePermission("reports:manage"),
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  query("status", "Invalid status").optional().isIn(STATUSES), // Validate the status filter
+  query("targetType", "Invalid target type").optional().isIn(Object.keys(REPORT_TARGETS)), // Validate the content filter
+  validate,
+  asyncHandler(async (req, res) => {
+    const { limit, before, status, targetType } = req.query;
+
+    const beforeCursor = before ? decodeCursor(before) : null;
+    if (before && !beforeCursor) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    // Show the reports still waiting for a decision unless a status is asked for
+    const filter = { status: status || { $in: PENDING_STATUSES } };
+    if (targetType) filter.targetType = targetType;
+
+    const { items, nextCursor } = await paginate(ReportModel, filter, {
+      limit,
+      before: beforeCursor,
+      populate: { path: "reporter", select: "name avatar" },
+    }); // Fetch one page of reports
+
+    res.json({ reports: items, nextCursor });
+  })
+);
+
+// Pick up a report for review
+router.put(
+  "/:id/triage",
+  auth,
+  requirePermission("reports:manage"),
+  asyncHandler(async (req, res) => {
+    const report = await findPendingReport(req);
+
+    report.status = "reviewing";
+    report.moderator = req.user.id;
+    await report.save(); // Save the triaged report
+
+    res.json(report);
+  })
+);
+
+// Uphold a report, keeping the content hidden or removing it
+router.put(
+  "/:id/resolve",
+  auth,
+  requirePermission("reports:manage"),
+  check("remove", "Remove must be true or false").optional().isBoolean(), // Validate the removal flag
+  validate,
+  asyncHandler(async (req, res) => {
+    const report = await findPendingReport(req);
+
+    const target = await findReportTarget(report.targetType, report.target);
+
+    if (target && String(req.body.remove) === "true") {
+      // Profiles cannot be removed, they stay hidden instead
+      if (report.targetType === "post") await removePost(target.id);
+      else if (report.targetType === "comment") await removeComment(target);
+      else await setHidden(report.targetType, target.id, true);
+    } else if (target) {
+      await setHidden(report.targetType, target.id, true); // Keep the content away from other users
+    }
+
+    await closeReports(report, "resolved", req); // Close every report against the content
+
+    res.json(await ReportModel.findById(report.id));
+  })
+);
+
+// Dismiss a report, showing the content again
+router.put(
+  "/:id/dismiss",
+  auth,
+  requirePermission("reports:manage"),
+  asyncHandler(async (req, res) => {
+    const report = await findPendingReport(req);
+
+    await setHidden(report.targetType, report.target, false); // Restore the content
+    await closeReports(report, "dismissed", req); // Close every report against the content
+
+    res.json(await ReportModel.findById(report.id));
+  })
+);
+
+module.exports = router; // Export the router with all defined routes
@@ -0,0 +1,91 @@
+// Import required modules and packages
+const express = require("express"); // Express framework for creating routes
+const router = express.Router(); // Create a router object to define routes
+const { query } = require("express-validator"); // Validation middleware for request validation
+const auth = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { parseLimit } = require("../../utils/pagination"); // Page size helper
+const { searchTerms, highlightFields } = require("../../utils/search"); // Search highlighting helpers
+const { withoutPendingDeletion } = require("../../utils/accountDeletion"); // Leaves out accounts waiting to be deleted
+
+const PostModel = require("../../models/Post"); // Import the Post model for interacting with posts
+const ProfileModel = require("../../models/Profile"); // Import the Profile model for interacting with profiles
+
+// Deepest a search can be paged, every earlier result has to be fetched to merge the rankings
+const MAX_SEARCH_RESULTS = 1000;
+
+// Searchable content, with the fields matched by each text index
+const SEARCH_TYPES = {
+  posts: { model: PostModel, fields: ["text"], type: "post" },
+  profiles: {
+    model: ProfileModel,
+    fields: ["skills", "status", "company", "bio"],
+    type: "profile",
+    populate: { path: "user", select: "name avatar" },
+  },
+};
+
+// Find the best `count` matches of one kind of content together with the total number of matches
+async function searchType({ model, populate }, q, count, viewerId) {
+  const filter = { $text: { $search: q }, hidden: { $ne: true }, ...withoutPendingDeletion(viewerId) }; // Leave out content hidden by reports or by its author's deletion
+
+  let search = model
+    .find(filter, { score: { $meta: "textScore" } })
+    .sort({ score: { $meta: "textScore" } })
+    .limit(count);
+  if (populate) search = search.populate(populate);
+
+  const [docs, total] = await Promise.all([search, model.countDocuments(filter)]);
+  return { docs, total };
+}
+
+// Search posts and developer profiles, best matches first
+router.get(
+  "/",
+  auth,
+  query("q", "Search query is required").isString().trim().notEmpty(), // Validate the search query, given once
+  query("type", "Type must be all, posts or profiles").optional().isIn(["all", "posts", "profiles"]), // Validate the type filter
+  query("page", "Page must be a positive number").optional().isInt({ min: 1 }), // Validate the page number
+  query("limit", "Limit must be between 1 and 100").optional().isInt({ min: 1, max: 100 }), // Validate the page size
+  query("page", `Only the first ${MAX_SEARCH_RESULTS} results can be paged through`)
+    .optional()
+    .custom((page, { req }) => page * parseLimit(req.query.limit) <= MAX_SEARCH_RESULTS), // Bound the results fetched for a page
+  validate,
+  asyncHandler(async (req, res) => {
+    const { q } = req.query;
+    const type = req.query.type || "all";
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseLimit(req.query.limit);
+    const terms = searchTerms(q);
+
+    const kinds = type === "all" ? Object.values(SEARCH_TYPES) : [SEARCH_TYPES[type]];
+
+    // Every page up to the requested one is needed to merge the rankings of several kinds of content
+    const found = await Promise.all(
+      kinds.map((kind) => searchType(kind, q, page * limit, req.user.id))
+    );
+
+    // Text scores depend on the weights of each index, so each kind is ranked relative to its best match
+    const results = found
+      .flatMap(({ docs }, i) =>
+        docs.map((doc) => {
+          const { score, ...item } = doc.toObject();
+          return {
+            type: kinds[i].type,
+            score: score / docs[0].get("score"),
+            item,
+            highlights: highlightFields(doc, kinds[i].fields, terms), // Show where the query matched
+          };
+        })
+      )
+      .sort((a, b) => b.score - a.score)
+      .slice((page - 1) * limit, page * limit);
+
+    const total = found.reduce((sum, { total }) => sum + total, 0);
+
+    res.json({ results, page, limit, total, hasMore: page * limit < Math.min(total, MAX_SEARCH_RESULTS) });
+  })
+);
+
+module.exports = router; // Export the router with all defined routes
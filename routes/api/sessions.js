@@ -0,0 +1,88 @@
+// Import required modules
+const express = require("express"); // Express.js framework
+const { check, param } = require("express-validator"); // Validation middleware
+const authMiddleware = require("../../middleware/auth"); // Custom authentication middleware
+const validate = require("../../middleware/validate"); // Rejects requests that failed validation
+const asyncHandler = require("../../utils/asyncHandler"); // Forwards async errors to the error handler
+const { NotFoundError } = require("../../utils/errors"); // Typed API errors
+const {
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../../utils/tokens"); // Session and token helpers
+const router = express.Router(); // Create a router instance
+
+const Session = require("../../models/Session"); // Session model tracking logged in devices
+
+// Exchange a refresh token for a new access token and refresh token
+router.post(
+  "/refresh",
+  check("refreshToken", "Refresh token is required").notEmpty(), // Validate the refreshToken field
+  validate, // Respond with the validation errors, if any
+  asyncHandler(async (req, res) => {
+    // Rejects with a 401 when the refresh token is unknown, expired, revoked or reused
+    const tokens = await rotateSession(req.body.refreshToken, req); // Rotate the refresh token of the session
+    res.json(tokens); // Respond with the new tokens
+  })
+);
+
+// Log out of the current session
+router.post(
+  "/logout",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    await revokeSession(req.user.id, req.sessionId); // Revoke the session the access token belongs to
+    res.json({ msg: "Logged out" });
+  })
+);
+
+// Log out of every session on every device
+router.post(
+  "/logout-all",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    await revokeAllSessions(req.user.id); // Revoke all sessions of the user
+    res.json({ msg: "Logged out of all devices" });
+  })
+);
+
+// List the active sessions of the authenticated user
+router.get(
+  "/sessions",
+  authMiddleware,
+  asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip lastUsedAt expiresAt date")
+      .sort({ lastUsedAt: -1 }); // Most recently used devices first
+
+    res.json(
+      sessions.map((session) => ({
+        ...session.toObject(),
+        current: session.id === req.sessionId, // Flag the session making this request
+      }))
+    );
+  })
+);
+
+// Revoke one of the authenticated user's sessions, e.g. a lost device
+router.delete(
+  "/sessions/:session_id",
+  authMiddleware,
+  param("session_id", "Invalid session ID").isMongoId(), // Validate the session ID
+  validate, // Respond with the validation errors, if any
+  asyncHandler(async (req, res) => {
+    const revoked = await revokeSession(req.user.id, req.params.session_id); // Revoke the session if it belongs to the user
+
+    if (!revoked) {
+      throw new NotFoundError("Session not found");
+    }
+
+    res.json({ msg: "Session revoked" });
+  })
+);
+
+module.exports = router; // Export the router to be used in the application
@@ -0,0 +1,73 @@
+/**
+ * Move the comments that earlier versions embedded in posts into the comments collection,
+ * and count them on their posts. Run once after upgrading with `npm run migrate:comments`,
+ * running it again is harmless.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../connect/dbConnect');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+// Turn an embedded comment into a top-level comment of its post, leaving out missing fields
+function toComment(post, embedded) {
+  const comment = {
+    post: post._id,
+    parent: null,
+    depth: 0,
+    text: embedded.text,
+    likes: [],
+    replyCount: 0,
+    deleted: false,
+    hidden: false,
+    date: embedded.date || post.date || new Date()
+  };
+  for (const field of ['user', 'name', 'avatar']) {
+    if (embedded[field] !== undefined) comment[field] = embedded[field];
+  }
+  return comment;
+}
+
+// Resolves to the number of posts and comments migrated
+async function migrateComments() {
+  // The comments are no longer in the Post schema, so the raw collection is read
+  const posts = Post.collection.find({ comments: { $exists: true } }, { projection: { comments: 1, date: 1 } });
+  const migrated = { posts: 0, comments: 0 };
+
+  for await (const post of posts) {
+    const embedded = (post.comments || []).filter((comment) => comment && comment._id && comment.text);
+
+    if (embedded.length > 0) {
+      // Keeping the IDs makes a second run find the comments it already moved
+      await Comment.collection.bulkWrite(
+        embedded.map((comment) => ({
+          updateOne: {
+            filter: { _id: comment._id },
+            update: { $setOnInsert: toComment(post, comment) },
+            upsert: true
+          }
+        }))
+      );
+    }
+
+    const commentCount = await Comment.countDocuments({ post: post._id, deleted: false });
+    await Post.collection.updateOne({ _id: post._id }, { $set: { commentCount }, $unset: { comments: '' } });
+
+    migrated.posts += 1;
+    migrated.comments += embedded.length;
+  }
+
+  return migrated;
+}
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateComments)
+    .then(({ posts, comments }) => console.log(`Moved ${comments} comments out of ${posts} posts`))
+    .catch((err) => {
+      console.error('Could not migrate comments:', err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateComments };
@@ -0,0 +1,41 @@
+/**
+ * Give a registered user a role from the command line, such as the first admin of a new install:
+ * `npm run set-role -- ada@example.com admin`. Admins can then manage roles through the API.
+ */
+const mongoose = require('mongoose');
+const connectDB = require('../connect/dbConnect');
+const User = require('../models/User');
+const { ROLES } = require('../utils/roles');
+
+// Resolves to the updated user, rejects when the role or the user is unknown
+async function setRole(email, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of ${ROLES.join(', ')}`);
+  }
+
+  const user = await User.findOneAndUpdate({ email }, { $set: { role } }, { new: true });
+  if (!user) {
+    throw new Error(`No user is registered with ${email}`);
+  }
+  return user;
+}
+
+if (require.main === module) {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !role) {
+    console.error('Usage: npm run set-role -- <email> <role>');
+    process.exitCode = 1;
+  } else {
+    connectDB()
+      .then(() => setRole(email, role))
+      .then((user) => console.log(`${user.email} is now ${user.role}`))
+      .catch((err) => {
+        console.error('Could not set the role:', err.message);
+        process.exitCode = 1;
+      })
+      .finally(() => mongoose.disconnect());
+  }
+}
+
+module.exports = { setRole };
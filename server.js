@@ -1,29 +1,31 @@
-const express = require("express");
-const path = require("path");
-const cors = require("cors");
-const app = express();
+const app = require("./app");
+const connectDB = require("./connect/dbConnect");
+const { attachRealtime } = require("./utils/realtime");
+const { startAccountPurge } = require("./utils/accountDeletion");
+const { assertMailTransport } = require("./utils/mailer");
 
-const register = require("./routes/api/register");
-const login = require("./routes/api/Login");
-const profile = require("./routes/api/profile");
-const posts = require("./routes/api/posts");
-
-//Connect DB
-require("./connect/dbConnect");
+const PORT = process.env.PORT || 3000;
 
-// Init Middleware
-app.use(cors());
-app.use(express.json());
+// Emails carry account links, do not start if they cannot be sent or would only end up in the logs
+try {
+  assertMailTransport();
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
 
-// Define Routes
-app.use("/api/users", register);
-app.use("/api/auth", login);
-app.use("/api/profile", profile);
-app.use("/api/posts", posts);
+//Connect DB, then start accepting requests
+connectDB()
+  .then(() => {
+    const server = app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
 
-app.get("/", (req, res) => {
-  res.send("Hello Dunia!");
-});
+    // Accept WebSocket connections for live notifications and messages
+    attachRealtime(server);
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server started on port ${PORT}`));
+    // Delete the accounts whose deletion grace period has ended
+    startAccountPurge();
+  })
+  .catch((err) => {
+    console.error("Could not connect to the database:", err.message);
+    process.exit(1);
+  });
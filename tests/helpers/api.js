@@ -0,0 +1,64 @@
+const request = require('supertest');
+
+const app = require('../../app');
+
+let registered = 0;
+
+// Send requests to the app, authenticated as a user when one is given
+function api(user) {
+  const agent = request(app);
+  if (!user) return agent;
+
+  const withToken = (method) => (url) => agent[method](url).set('x-auth-token', user.token);
+  return {
+    get: withToken('get'),
+    post: withToken('post'),
+    put: withToken('put'),
+    patch: withToken('patch'),
+    delete: withToken('delete')
+  };
+}
+
+// Register a new user, resolving to their details, ID and tokens
+async function registerUser(overrides = {}) {
+  registered += 1;
+  const details = {
+    name: `User ${registered}`,
+    email: `user${registered}@example.com`,
+    password: 'secret123',
+    ...overrides
+  };
+
+  const { body: tokens } = await api().post('/api/users').send(details).expect(200);
+  const { body: user } = await api().get('/api/auth').set('x-auth-token', tokens.token).expect(200);
+
+  return { ...details, id: user._id, token: tokens.token, refreshToken: tokens.refreshToken };
+}
+
+// Create the profile of a user
+async function createProfile(user, fields = {}) {
+  const { body } = await api(user)
+    .post('/api/profile')
+    .send({ status: 'Developer', skills: 'JavaScript, Node.js', ...fields })
+    .expect(200);
+  return body;
+}
+
+// Create a post as a user
+async function createPost(user, text = 'Hello world') {
+  const { body } = await api(user).post('/api/posts').send({ text }).expect(200);
+  return body;
+}
+
+// Wait for an email to an address, some are sent in the background after the response
+async function waitForEmail(to, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const email = global.sentEmails.find((message) => message.to === to);
+    if (email) return email;
+    if (Date.now() > deadline) throw new Error(`No email was sent to ${to}`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { api, registerUser, createProfile, createPost, waitForEmail };
@@ -0,0 +1,143 @@
+const { api, registerUser, createProfile, createPost } = require('../helpers/api');
+const { DELETION_GRACE_DAYS, purgeDueAccounts } = require('../../utils/accountDeletion');
+const User = require('../../models/User');
+
+// A moment after the grace period of a deletion requested now
+function afterGracePeriod() {
+  return new Date(Date.now() + (DELETION_GRACE_DAYS + 1) * 24 * 60 * 60 * 1000);
+}
+
+describe('account export', () => {
+  it('exports the account with its profile, posts, comments and likes', async () => {
+    const user = await registerUser({ name: 'Ada' });
+    const other = await registerUser();
+    await createProfile(user);
+    const own = await createPost(user, 'Mine');
+    const theirs = await createPost(other, 'Theirs');
+    await api(user).post(`/api/posts/comment/${theirs._id}`).send({ text: 'Nice' }).expect(200);
+    await api(user).put(`/api/posts/like/${theirs._id}`).expect(200);
+    await api(other).post(`/api/follow/${user.id}`).expect(200);
+
+    const res = await api(user).get('/api/users/me/export').expect(200);
+
+    expect(res.headers['content-disposition']).toMatch(/attachment/);
+    expect(res.body.account).toMatchObject({ _id: user.id, name: 'Ada' });
+    expect(res.body.account.password).toBeUndefined();
+    expect(res.body.profile.user).toBe(user.id);
+    expect(res.body.posts.map(({ _id }) => _id)).toEqual([own._id]);
+    expect(res.body.comments.map(({ text }) => text)).toEqual(['Nice']);
+    expect(res.body.likes).toEqual({ posts: [theirs._id], comments: [] });
+    expect(res.body.followers.map(({ user: follower }) => follower)).toEqual([other.id]);
+  });
+
+  it('requires authentication', async () => {
+    await api().get('/api/users/me/export').expect(401);
+  });
+});
+
+describe('account deletion', () => {
+  it('can be cancelled during the grace period', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    await api(user).delete('/api/profile').expect(200);
+
+    const res = await api(user).post('/api/users/me/deletion/cancel').expect(200);
+    expect(res.body.deletionScheduledFor).toBeUndefined();
+
+    await purgeDueAccounts(afterGracePeriod());
+    await api().get(`/api/profile/user/${user.id}`).expect(200);
+  });
+
+  it('cannot be cancelled when it was not scheduled', async () => {
+    const user = await registerUser();
+
+    await api(user).post('/api/users/me/deletion/cancel').expect(400);
+  });
+
+  it('keeps the account until the grace period has ended', async () => {
+    const user = await registerUser();
+    await api(user).delete('/api/profile').expect(200);
+
+    expect(await purgeDueAccounts()).toBe(0);
+    expect(await User.exists({ _id: user.id })).toBeTruthy();
+  });
+
+  it('hides the posts of the account from others during the grace period', async () => {
+    const user = await registerUser();
+    const other = await registerUser();
+    const post = await createPost(user, 'Leaving #farewell');
+    await api(other).post(`/api/posts/repost/${post._id}`).expect(200);
+    await api(user).delete('/api/profile').expect(200);
+    const late = await createPost(user, 'One last thing');
+
+    const { body: posts } = await api(other).get('/api/posts').expect(200);
+    expect(posts.posts).toEqual([]);
+    const { body: tagged } = await api(other).get('/api/posts/tag/farewell').expect(200);
+    expect(tagged.posts).toEqual([]);
+    const { body: found } = await api(other).get('/api/search?q=leaving').expect(200);
+    expect(found.results).toEqual([]);
+    await api(other).get(`/api/posts/${post._id}`).expect(404);
+    await api(other).get(`/api/posts/${late._id}`).expect(404);
+
+    const { body: own } = await api(user).get('/api/posts').expect(200);
+    expect(own.posts.map(({ _id }) => _id)).toEqual(expect.arrayContaining([post._id, late._id]));
+
+    await api(user).post('/api/users/me/deletion/cancel').expect(200);
+    await api(other).get(`/api/posts/${post._id}`).expect(200);
+    await api(other).get(`/api/posts/${late._id}`).expect(200);
+  });
+
+  it('hides the comments of the account from others during the grace period', async () => {
+    const user = await registerUser();
+    const other = await registerUser();
+    const post = await createPost(other);
+    await api(user).post(`/api/posts/comment/${post._id}`).send({ text: 'Before' }).expect(200);
+    await api(user).delete('/api/profile').expect(200);
+    await api(user).post(`/api/posts/comment/${post._id}`).send({ text: 'During' }).expect(200);
+
+    const { body: thread } = await api(other).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(thread.comments).toEqual([]);
+    const { body: own } = await api(user).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(own.comments.map(({ text }) => text)).toEqual(['During', 'Before']);
+
+    await api(user).post('/api/users/me/deletion/cancel').expect(200);
+    const { body: restored } = await api(other).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(restored.comments).toHaveLength(2);
+  });
+
+  it('purges the account and its traces in other content once the grace period has ended', async () => {
+    const user = await registerUser();
+    const other = await registerUser();
+    await createProfile(user);
+    await createPost(user, 'Goodbye');
+    const post = await createPost(other, 'Still here');
+    const { body: comment } = await api(user)
+      .post(`/api/posts/comment/${post._id}`)
+      .send({ text: 'First!' })
+      .expect(200);
+    await api(other)
+      .post(`/api/posts/comment/${post._id}`)
+      .send({ text: 'A reply', parent: comment._id })
+      .expect(200);
+    await api(user).put(`/api/posts/like/${post._id}`).expect(200);
+    await api(user).delete('/api/profile').expect(200);
+
+    expect(await purgeDueAccounts(afterGracePeriod())).toBe(1);
+
+    await api(user).get('/api/auth').expect(401);
+    expect(await User.exists({ _id: user.id })).toBeNull();
+
+    const { body: remaining } = await api(other).get(`/api/posts/${post._id}`).expect(200);
+    expect(remaining.likes).toEqual([]);
+    expect(remaining.commentCount).toBe(1);
+
+    const { body: thread } = await api(other).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(thread.comments).toEqual([
+      expect.objectContaining({ _id: comment._id, text: '[deleted]', replyCount: 1 })
+    ]);
+    expect(thread.comments[0].name).toBeUndefined();
+
+    const { body: posts } = await api(other).get('/api/posts').expect(200);
+    expect(posts.posts.map(({ text }) => text)).toEqual(['Still here']);
+  });
+});
@@ -0,0 +1,150 @@
+const { api, registerUser, waitForEmail } = require('../helpers/api');
+const { setTransport } = require('../../utils/mailer');
+const { recordFailedLogin } = require('../../utils/loginThrottle');
+
+describe('registration', () => {
+  it('creates the user and returns tokens', async () => {
+    const res = await api()
+      .post('/api/users')
+      .send({ name: 'Ada', email: 'ada@example.com', password: 'secret123' })
+      .expect(200);
+
+    expect(res.body).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+
+    const me = await api().get('/api/auth').set('x-auth-token', res.body.token).expect(200);
+    expect(me.body).toMatchObject({ name: 'Ada', email: 'ada@example.com', emailVerified: false });
+    expect(me.body.password).toBeUndefined();
+  });
+
+  it('sends a verification email', async () => {
+    await registerUser({ email: 'verify@example.com' });
+
+    const email = await waitForEmail('verify@example.com');
+    expect(email.subject).toMatch(/verify/i);
+  });
+
+  it('rejects an email that is already registered', async () => {
+    await registerUser({ email: 'taken@example.com' });
+
+    const res = await api()
+      .post('/api/users')
+      .send({ name: 'Other', email: 'taken@example.com', password: 'secret123' })
+      .expect(409);
+
+    expect(res.body.error).toEqual({ code: 'CONFLICT', message: 'User already exists' });
+  });
+
+  it('reports every invalid field', async () => {
+    const res = await api()
+      .post('/api/users')
+      .send({ email: 'not-an-email', password: '123' })
+      .expect(400);
+
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details.map(({ field }) => field).sort()).toEqual(['email', 'name', 'password']);
+  });
+});
+
+describe('login', () => {
+  it('returns tokens for valid credentials', async () => {
+    await registerUser({ email: 'login@example.com', password: 'secret123' });
+
+    const res = await api()
+      .post('/api/auth')
+      .send({ email: 'login@example.com', password: 'secret123' })
+      .expect(200);
+
+    expect(res.body).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+  });
+
+  it('rejects a wrong password', async () => {
+    await registerUser({ email: 'login@example.com', password: 'secret123' });
+
+    const res = await api()
+      .post('/api/auth')
+      .send({ email: 'login@example.com', password: 'wrong-password' })
+      .expect(400);
+
+    expect(res.body.error.message).toBe('Invalid Credentials');
+  });
+
+  it('rejects an unknown email the same way', async () => {
+    const res = await api()
+      .post('/api/auth')
+      .send({ email: 'nobody@example.com', password: 'secret123' })
+      .expect(400);
+
+    expect(res.body.error.message).toBe('Invalid Credentials');
+  });
+
+  it('locks the account for a client after repeated failures', async () => {
+    await registerUser({ email: 'locked@example.com', password: 'secret123' });
+
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      await api().post('/api/auth').send({ email: 'locked@example.com', password: 'wrong-password' }).expect(400);
+    }
+
+    const res = await api().post('/api/auth').send({ email: 'locked@example.com', password: 'secret123' }).expect(429);
+    expect(res.headers['retry-after']).toBe('60');
+  });
+
+  it('locks the account for everyone after failures from many clients', async () => {
+    await registerUser({ email: 'targeted@example.com', password: 'secret123' });
+
+    for (let client = 0; client < 20; client += 1) {
+      await recordFailedLogin('targeted@example.com', `203.0.113.${client}`);
+    }
+
+    const res = await api().post('/api/auth').send({ email: 'targeted@example.com', password: 'secret123' }).expect(429);
+    expect(res.headers['retry-after']).toBe('60');
+  });
+
+  it('requires a token for the current user', async () => {
+    const res = await api().get('/api/auth').expect(401);
+
+    expect(res.body.error.code).toBe('UNAUTHORIZED');
+  });
+});
+
+describe('sessions', () => {
+  it('rotates the refresh token and refuses to reuse the old one', async () => {
+    const user = await registerUser();
+
+    const res = await api().post('/api/auth/refresh').send({ refreshToken: user.refreshToken }).expect(200);
+    expect(res.body.refreshToken).not.toBe(user.refreshToken);
+
+    await api().post('/api/auth/refresh').send({ refreshToken: user.refreshToken }).expect(401);
+  });
+
+  it('stops accepting the access token after logout', async () => {
+    const user = await registerUser();
+
+    await api(user).post('/api/auth/logout').expect(200);
+
+    await api(user).get('/api/auth').expect(401);
+  });
+});
+
+describe('password reset', () => {
+  it('answers the same whether the email is registered or not', async () => {
+    await registerUser({ email: 'forgetful@example.com' });
+
+    const known = await api().post('/api/auth/password/forgot').send({ email: 'forgetful@example.com' }).expect(200);
+    const unknown = await api().post('/api/auth/password/forgot').send({ email: 'nobody@example.com' }).expect(200);
+
+    expect(known.body).toEqual(unknown.body);
+    const email = await waitForEmail('forgetful@example.com');
+    expect(email.subject).toMatch(/reset/i);
+  });
+
+  it('answers the same when the email cannot be delivered', async () => {
+    await registerUser({ email: 'unreachable@example.com' });
+    setTransport({
+      async send() {
+        throw new Error('Mail server unavailable');
+      }
+    });
+
+    await api().post('/api/auth/password/forgot').send({ email: 'unreachable@example.com' }).expect(200);
+  });
+});
@@ -0,0 +1,83 @@
+const { api, registerUser, createPost } = require('../helpers/api');
+
+const MISSING_ID = '64b7f0c2a1d3e4f5a6b7c8d9';
+
+describe('bookmarks', () => {
+  it('bookmarks posts and lists them, most recently bookmarked first', async () => {
+    const author = await registerUser();
+    const reader = await registerUser();
+    const first = await createPost(author, 'First');
+    const second = await createPost(author, 'Second');
+
+    await api(reader).put(`/api/posts/bookmark/${second._id}`).expect(200);
+    await api(reader).put(`/api/posts/bookmark/${first._id}`).expect(200);
+
+    const res = await api(reader).get('/api/posts/bookmarks').expect(200);
+    expect(res.body.posts.map(({ text }) => text)).toEqual(['First', 'Second']);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('keeps bookmarks private', async () => {
+    const author = await registerUser();
+    const reader = await registerUser();
+    const post = await createPost(author);
+
+    await api(reader).put(`/api/posts/bookmark/${post._id}`).expect(200);
+
+    const res = await api(author).get('/api/posts/bookmarks').expect(200);
+    expect(res.body.posts).toEqual([]);
+  });
+
+  it('pages through bookmarks with cursors', async () => {
+    const user = await registerUser();
+    for (const text of ['One', 'Two', 'Three']) {
+      const post = await createPost(user, text);
+      await api(user).put(`/api/posts/bookmark/${post._id}`).expect(200);
+    }
+
+    const first = await api(user).get('/api/posts/bookmarks?limit=2').expect(200);
+    expect(first.body.posts.map(({ text }) => text)).toEqual(['Three', 'Two']);
+
+    const second = await api(user).get(`/api/posts/bookmarks?limit=2&before=${first.body.nextCursor}`).expect(200);
+    expect(second.body.posts.map(({ text }) => text)).toEqual(['One']);
+  });
+
+  it('rejects bookmarking a post twice', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+
+    await api(user).put(`/api/posts/bookmark/${post._id}`).expect(200);
+    await api(user).put(`/api/posts/bookmark/${post._id}`).expect(409);
+  });
+
+  it('removes a bookmark', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+    await api(user).put(`/api/posts/bookmark/${post._id}`).expect(200);
+
+    await api(user).put(`/api/posts/unbookmark/${post._id}`).expect(200);
+    await api(user).put(`/api/posts/unbookmark/${post._id}`).expect(400);
+
+    const res = await api(user).get('/api/posts/bookmarks').expect(200);
+    expect(res.body.posts).toEqual([]);
+  });
+
+  it('drops bookmarks of deleted posts', async () => {
+    const author = await registerUser();
+    const reader = await registerUser();
+    const post = await createPost(author);
+    await api(reader).put(`/api/posts/bookmark/${post._id}`).expect(200);
+
+    await api(author).delete(`/api/posts/${post._id}`).expect(200);
+
+    const res = await api(reader).get('/api/posts/bookmarks').expect(200);
+    expect(res.body.posts).toEqual([]);
+  });
+
+  it('answers 404 for a missing post', async () => {
+    const user = await registerUser();
+
+    await api(user).put(`/api/posts/bookmark/${MISSING_ID}`).expect(404);
+    await api(user).put('/api/posts/bookmark/not-an-id').expect(404);
+  });
+});
@@ -0,0 +1,105 @@
+const { api, registerUser, createPost } = require('../helpers/api');
+
+// Comment on a post as a user
+async function createComment(user, post, fields = {}) {
+  const { body } = await api(user)
+    .post(`/api/posts/comment/${post._id}`)
+    .send({ text: 'Nice post', ...fields })
+    .expect(200);
+  return body;
+}
+
+describe('comments', () => {
+  it('comments on a post and counts the comments', async () => {
+    const author = await registerUser();
+    const reader = await registerUser({ name: 'Reader' });
+    const post = await createPost(author);
+
+    const comment = await createComment(reader, post);
+    expect(comment).toMatchObject({ post: post._id, user: reader.id, name: 'Reader', depth: 0 });
+
+    const { body } = await api(author).get(`/api/posts/${post._id}`).expect(200);
+    expect(body.commentCount).toBe(1);
+  });
+
+  it('replies to a comment', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+    const comment = await createComment(user, post);
+
+    const reply = await createComment(user, post, { text: 'Thanks', parent: comment._id });
+    expect(reply).toMatchObject({ parent: comment._id, depth: 1 });
+
+    const topLevel = await api(user).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(topLevel.body.comments).toEqual([expect.objectContaining({ _id: comment._id, replyCount: 1 })]);
+
+    const replies = await api(user).get(`/api/posts/${post._id}/comments?parent=${comment._id}`).expect(200);
+    expect(replies.body.comments.map(({ text }) => text)).toEqual(['Thanks']);
+  });
+
+  it('answers 404 when commenting on a missing post', async () => {
+    const user = await registerUser();
+
+    await api(user).post('/api/posts/comment/64b7f0c2a1d3e4f5a6b7c8d9').send({ text: 'Hello' }).expect(404);
+  });
+
+  it('likes and unlikes a comment', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+    const comment = await createComment(user, post);
+    const url = `${post._id}/${comment._id}`;
+
+    const liked = await api(user).put(`/api/posts/comment/like/${url}`).expect(200);
+    expect(liked.body).toHaveLength(1);
+    await api(user).put(`/api/posts/comment/like/${url}`).expect(409);
+
+    const unliked = await api(user).put(`/api/posts/comment/unlike/${url}`).expect(200);
+    expect(unliked.body).toEqual([]);
+  });
+
+  it('only lets the author delete a comment', async () => {
+    const author = await registerUser();
+    const other = await registerUser();
+    const post = await createPost(author);
+    const comment = await createComment(author, post);
+
+    await api(other).delete(`/api/posts/comment/${post._id}/${comment._id}`).expect(403);
+    await api(author).delete(`/api/posts/comment/${post._id}/${comment._id}`).expect(200);
+
+    const { body } = await api(author).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(body.comments).toEqual([]);
+  });
+
+  it('blanks a deleted comment with replies without showing its author', async () => {
+    const author = await registerUser();
+    const replier = await registerUser();
+    const post = await createPost(author);
+    const comment = await createComment(author, post);
+    await createComment(replier, post, { parent: comment._id });
+
+    await api(author).delete(`/api/posts/comment/${post._id}/${comment._id}`).expect(200);
+
+    const { body } = await api(author).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(body.comments).toHaveLength(1);
+    expect(body.comments[0]).toMatchObject({ deleted: true, text: '[deleted]' });
+    expect(body.comments[0]).not.toHaveProperty('user');
+    expect(body.comments[0]).not.toHaveProperty('name');
+    expect(body.comments[0]).not.toHaveProperty('avatar');
+  });
+
+  it('removes a blanked comment once its last reply is deleted', async () => {
+    const author = await registerUser();
+    const replier = await registerUser();
+    const post = await createPost(author);
+    const comment = await createComment(author, post);
+    const reply = await createComment(replier, post, { parent: comment._id });
+    await api(author).delete(`/api/posts/comment/${post._id}/${comment._id}`).expect(200);
+
+    await api(replier).delete(`/api/posts/comment/${post._id}/${reply._id}`).expect(200);
+
+    const { body } = await api(author).get(`/api/posts/${post._id}/comments`).expect(200);
+    expect(body.comments).toEqual([]);
+    const { body: updated } = await api(author).get(`/api/posts/${post._id}`).expect(200);
+    expect(updated.commentCount).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+const { api, registerUser, createProfile } = require('../helpers/api');
+
+// Endorse a skill on the profile of a user
+async function endorse(endorser, owner, skill) {
+  const { body } = await api(endorser).put(`/api/profile/endorse/${owner.id}`).send({ skill }).expect(200);
+  return body;
+}
+
+describe('skill endorsements', () => {
+  it('endorses a skill, matching it regardless of case', async () => {
+    const owner = await registerUser();
+    const endorser = await registerUser();
+    await createProfile(owner, { skills: 'JavaScript, Go' });
+
+    const endorsements = await endorse(endorser, owner, 'javascript');
+
+    expect(endorsements).toEqual([
+      expect.objectContaining({ skill: 'JavaScript', count: 1, endorsers: [expect.objectContaining({ user: endorser.id })] })
+    ]);
+  });
+
+  it('shows the counts and endorsers of each skill on the profile', async () => {
+    const owner = await registerUser();
+    const ada = await registerUser({ name: 'Ada' });
+    const linus = await registerUser({ name: 'Linus' });
+    await createProfile(owner, { skills: 'JavaScript, Go' });
+    await endorse(ada, owner, 'Go');
+    await endorse(linus, owner, 'Go');
+    await endorse(ada, owner, 'JavaScript');
+
+    const { body } = await api().get(`/api/profile/user/${owner.id}`).expect(200);
+
+    const go = body.endorsements.find(({ skill }) => skill === 'Go');
+    expect(go.count).toBe(2);
+    expect(go.endorsers.map(({ user }) => user.name)).toEqual(['Ada', 'Linus']);
+  });
+
+  it('rejects self-endorsements, duplicates and unlisted skills', async () => {
+    const owner = await registerUser();
+    const endorser = await registerUser();
+    await createProfile(owner, { skills: 'Go' });
+    await endorse(endorser, owner, 'Go');
+
+    await api(owner).put(`/api/profile/endorse/${owner.id}`).send({ skill: 'Go' }).expect(400);
+    const duplicate = await api(endorser).put(`/api/profile/endorse/${owner.id}`).send({ skill: 'go' }).expect(409);
+    expect(duplicate.body.error.message).toBe('Skill already endorsed');
+    await api(endorser).put(`/api/profile/endorse/${owner.id}`).send({ skill: 'Rust' }).expect(404);
+  });
+
+  it('takes back an endorsement', async () => {
+    const owner = await registerUser();
+    const endorser = await registerUser();
+    await createProfile(owner, { skills: 'Go' });
+    await endorse(endorser, owner, 'Go');
+
+    const res = await api(endorser).put(`/api/profile/unendorse/${owner.id}`).send({ skill: 'Go' }).expect(200);
+    expect(res.body).toEqual([]);
+
+    await api(endorser).put(`/api/profile/unendorse/${owner.id}`).send({ skill: 'Go' }).expect(400);
+  });
+
+  it('keeps every concurrent endorsement', async () => {
+    const owner = await registerUser();
+    const ada = await registerUser();
+    const linus = await registerUser();
+    await createProfile(owner, { skills: 'Go' });
+
+    await Promise.all([endorse(ada, owner, 'Go'), endorse(linus, owner, 'Go')]);
+
+    const { body } = await api().get(`/api/profile/user/${owner.id}`).expect(200);
+    expect(body.endorsements).toEqual([expect.objectContaining({ skill: 'Go', count: 2 })]);
+    expect(body.endorsements[0].endorsers).toHaveLength(2);
+  });
+
+  it('notifies the owner once when an endorsement is taken back and given again', async () => {
+    const owner = await registerUser();
+    const endorser = await registerUser();
+    await createProfile(owner, { skills: 'Go' });
+
+    await endorse(endorser, owner, 'Go');
+    await api(endorser).put(`/api/profile/unendorse/${owner.id}`).send({ skill: 'Go' }).expect(200);
+    await endorse(endorser, owner, 'Go');
+
+    const { body } = await api(owner).get('/api/notifications').expect(200);
+    expect(body.notifications.filter(({ type }) => type === 'endorsement')).toHaveLength(1);
+  });
+
+  it('drops the endorsements of skills removed from the profile', async () => {
+    const owner = await registerUser();
+    const endorser = await registerUser();
+    await createProfile(owner, { skills: 'JavaScript, Go' });
+    await endorse(endorser, owner, 'Go');
+    await endorse(endorser, owner, 'JavaScript');
+
+    const res = await api(owner).patch('/api/profile').send({ skills: 'javascript' }).expect(200);
+
+    expect(res.body.endorsements.map(({ skill }) => skill)).toEqual(['javascript']);
+  });
+
+  it('sorts the directory by endorsement count', async () => {
+    const popular = await registerUser({ name: 'Popular' });
+    const quiet = await registerUser({ name: 'Quiet' });
+    const endorsers = [await registerUser(), await registerUser()];
+    await createProfile(popular, { skills: 'Go, Rust' });
+    await createProfile(quiet, { skills: 'Go' });
+    await endorse(endorsers[0], popular, 'Go');
+    await endorse(endorsers[1], popular, 'Rust');
+    await endorse(endorsers[0], quiet, 'Go');
+
+    const { body } = await api().get('/api/profile?sort=endorsements').expect(200);
+
+    expect(body.profiles.map(({ user, endorsementCount }) => [user.name, endorsementCount])).toEqual([
+      ['Popular', 2],
+      ['Quiet', 1]
+    ]);
+  });
+});
@@ -0,0 +1,87 @@
+const { api, registerUser, createProfile, createPost } = require('../helpers/api');
+
+// Set the handle of a user
+async function setHandle(user, handle) {
+  const { body } = await api(user).put('/api/users/me/handle').send({ handle }).expect(200);
+  return body;
+}
+
+describe('handles', () => {
+  it('sets a lowercased handle on the user', async () => {
+    const user = await registerUser();
+
+    const res = await setHandle(user, 'Ada-Lovelace');
+
+    expect(res.handle).toBe('ada-lovelace');
+  });
+
+  it('rejects malformed and reserved handles', async () => {
+    const user = await registerUser();
+
+    for (const handle of ['ab', '-ada', 'ada--l', 'ada_l', 'a'.repeat(31)]) {
+      await api(user).put('/api/users/me/handle').send({ handle }).expect(400);
+    }
+
+    const res = await api(user).put('/api/users/me/handle').send({ handle: 'Admin' }).expect(400);
+    expect(res.body.error.details[0].message).toBe('This handle is reserved');
+  });
+
+  it('rejects a handle another user has', async () => {
+    const ada = await registerUser();
+    const other = await registerUser();
+    await setHandle(ada, 'ada');
+
+    const res = await api(other).put('/api/users/me/handle').send({ handle: 'ADA' }).expect(409);
+
+    expect(res.body.error.message).toBe('Handle is already taken');
+  });
+
+  it('finds a profile by handle', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    await setHandle(user, 'ada');
+
+    const res = await api().get('/api/profile/handle/Ada').expect(200);
+    expect(res.body.user).toBe(user.id);
+
+    await api().get('/api/profile/handle/nobody').expect(404);
+    await api().get('/api/profile/handle/-bad-').expect(404);
+  });
+
+  it('redirects from a handle given up in a rename', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    await setHandle(user, 'ada');
+    await setHandle(user, 'countess');
+    await setHandle(user, 'lovelace');
+
+    for (const previous of ['ada', 'countess']) {
+      const res = await api().get(`/api/profile/handle/${previous}`).expect(301);
+      expect(res.headers.location).toBe('/api/profile/handle/lovelace');
+    }
+  });
+
+  it('keeps old handles for their user', async () => {
+    const ada = await registerUser();
+    const other = await registerUser();
+    await setHandle(ada, 'ada');
+    await setHandle(ada, 'lovelace');
+
+    await api(other).put('/api/users/me/handle').send({ handle: 'ada' }).expect(409);
+
+    const res = await setHandle(ada, 'ada');
+    expect(res.handle).toBe('ada');
+    const redirect = await api().get('/api/profile/handle/lovelace').expect(301);
+    expect(redirect.headers.location).toBe('/api/profile/handle/ada');
+  });
+
+  it('resolves mentions by handle', async () => {
+    const author = await registerUser();
+    const ada = await registerUser();
+    await setHandle(ada, 'ada');
+
+    const post = await createPost(author, 'Thanks @ada and @nobody');
+
+    expect(post.mentions).toEqual([ada.id]);
+  });
+});
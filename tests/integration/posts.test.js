@@ -0,0 +1,157 @@
+const { api, registerUser, createPost } = require('../helpers/api');
+const { setHidden } = require('../../utils/moderation');
+
+const MISSING_ID = '64b7f0c2a1d3e4f5a6b7c8d9';
+
+describe('posts', () => {
+  it('creates a post with rendered text', async () => {
+    const user = await registerUser({ name: 'Ada' });
+
+    const post = await createPost(user, 'Hello **world** #intro');
+
+    expect(post).toMatchObject({ user: user.id, name: 'Ada', text: 'Hello **world** #intro', hashtags: ['intro'] });
+    expect(post.html).toContain('<strong>world</strong>');
+  });
+
+  it('requires text', async () => {
+    const user = await registerUser();
+
+    const res = await api(user).post('/api/posts').send({ text: '' }).expect(400);
+
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+  });
+
+  it('lists posts newest first', async () => {
+    const user = await registerUser();
+    await createPost(user, 'First');
+    await createPost(user, 'Second');
+
+    const res = await api(user).get('/api/posts').expect(200);
+
+    expect(res.body.posts.map(({ text }) => text)).toEqual(['Second', 'First']);
+    expect(res.body.nextCursor).toBeNull();
+  });
+
+  it('pages through posts with cursors', async () => {
+    const user = await registerUser();
+    for (const text of ['One', 'Two', 'Three']) {
+      await createPost(user, text);
+    }
+
+    const first = await api(user).get('/api/posts?limit=2').expect(200);
+    expect(first.body.posts.map(({ text }) => text)).toEqual(['Three', 'Two']);
+
+    const second = await api(user).get(`/api/posts?limit=2&before=${first.body.nextCursor}`).expect(200);
+    expect(second.body.posts.map(({ text }) => text)).toEqual(['One']);
+
+    await api(user).get('/api/posts?before=garbage').expect(400);
+  });
+
+  it('gets a post by ID', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+
+    const res = await api(user).get(`/api/posts/${post._id}`).expect(200);
+    expect(res.body.text).toBe('Hello world');
+
+    await api(user).get(`/api/posts/${MISSING_ID}`).expect(404);
+    await api(user).get('/api/posts/not-an-id').expect(404);
+  });
+
+  it('lets the author edit a post and keeps its revisions', async () => {
+    const user = await registerUser();
+    const post = await createPost(user, 'Draft');
+
+    const res = await api(user).patch(`/api/posts/${post._id}`).send({ text: 'Final' }).expect(200);
+    expect(res.body).toMatchObject({ text: 'Final', editedAt: expect.any(String) });
+
+    const { body } = await api(user).get(`/api/posts/${post._id}/revisions`).expect(200);
+    expect(body.revisions.map(({ text }) => text)).toEqual(['Draft']);
+  });
+
+  it('only lets the author edit or delete a post', async () => {
+    const author = await registerUser();
+    const other = await registerUser();
+    const post = await createPost(author);
+
+    const res = await api(other).patch(`/api/posts/${post._id}`).send({ text: 'Hijacked' }).expect(403);
+    expect(res.body.error.code).toBe('FORBIDDEN');
+
+    await api(other).delete(`/api/posts/${post._id}`).expect(403);
+  });
+
+  it('deletes a post', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+
+    await api(user).delete(`/api/posts/${post._id}`).expect(200);
+
+    await api(user).get(`/api/posts/${post._id}`).expect(404);
+  });
+});
+
+describe('post likes', () => {
+  it('likes and unlikes a post', async () => {
+    const author = await registerUser();
+    const fan = await registerUser();
+    const post = await createPost(author);
+
+    const liked = await api(fan).put(`/api/posts/like/${post._id}`).expect(200);
+    expect(liked.body.map(({ user }) => user)).toEqual([fan.id]);
+
+    const unliked = await api(fan).put(`/api/posts/unlike/${post._id}`).expect(200);
+    expect(unliked.body).toEqual([]);
+  });
+
+  it('rejects liking a post twice', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+    await api(user).put(`/api/posts/like/${post._id}`).expect(200);
+
+    const res = await api(user).put(`/api/posts/like/${post._id}`).expect(409);
+
+    expect(res.body.error).toMatchObject({ code: 'CONFLICT', message: 'Post already liked' });
+  });
+
+  it('rejects unliking a post that was not liked', async () => {
+    const user = await registerUser();
+    const post = await createPost(user);
+
+    await api(user).put(`/api/posts/unlike/${post._id}`).expect(400);
+  });
+
+  it('answers 404 for a missing post', async () => {
+    const user = await registerUser();
+
+    const res = await api(user).put(`/api/posts/like/${MISSING_ID}`).expect(404);
+    expect(res.body.error.message).toBe('Post not found');
+
+    await api(user).put('/api/posts/like/not-an-id').expect(404);
+  });
+});
+
+describe('posts hidden by reports', () => {
+  it('cannot be liked, commented on or looked into by other users', async () => {
+    const author = await registerUser();
+    const reader = await registerUser();
+    const post = await createPost(author);
+    await api(reader).put(`/api/posts/like/${post._id}`).expect(200);
+    await setHidden('post', post._id, true);
+
+    await api(reader).put(`/api/posts/like/${post._id}`).expect(404);
+    await api(reader).put(`/api/posts/unlike/${post._id}`).expect(404);
+    await api(reader).get(`/api/posts/${post._id}/revisions`).expect(404);
+    await api(reader).get(`/api/posts/${post._id}/comments`).expect(404);
+    await api(reader).post(`/api/posts/comment/${post._id}`).send({ text: 'Hello' }).expect(404);
+  });
+
+  it('stay available to their author', async () => {
+    const author = await registerUser();
+    const post = await createPost(author);
+    await setHidden('post', post._id, true);
+
+    await api(author).put(`/api/posts/like/${post._id}`).expect(200);
+    await api(author).get(`/api/posts/${post._id}/revisions`).expect(200);
+    await api(author).get(`/api/posts/${post._id}/comments`).expect(200);
+  });
+});
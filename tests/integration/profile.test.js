@@ -0,0 +1,325 @@
+const { api, registerUser, createProfile } = require('../helpers/api');
+
+describe('profile', () => {
+  it('creates and then updates the profile of the user', async () => {
+    const user = await registerUser();
+
+    const created = await createProfile(user, { website: 'https://example.com', twitter: 'ada' });
+    expect(created).toMatchObject({ user: user.id, status: 'Developer', website: 'https://example.com' });
+    expect(created.skills).toContain('JavaScript');
+    expect(created.social).toEqual({ twitter: 'ada' });
+
+    const updated = await createProfile(user, { status: 'Senior Developer', skills: 'Go' });
+    expect(updated._id).toBe(created._id);
+    expect(updated).toMatchObject({ status: 'Senior Developer', skills: ['Go'] });
+    expect(updated.website).toBeUndefined();
+  });
+
+  it('stores every profile field, normalizing links and skills', async () => {
+    const user = await registerUser();
+
+    const profile = await createProfile(user, {
+      company: 'Acme',
+      location: 'Paris',
+      bio: 'Hello',
+      githubusername: 'ada',
+      website: 'Example.com/',
+      skills: ' JavaScript, node.js,javascript, ,Go ',
+      linkedin: 'linkedin.com/in/ada',
+      youtube: ''
+    });
+
+    expect(profile).toMatchObject({
+      company: 'Acme',
+      location: 'Paris',
+      bio: 'Hello',
+      githubusername: 'ada',
+      website: 'https://example.com',
+      skills: ['JavaScript', 'node.js', 'Go'],
+      social: { linkedin: 'https://linkedin.com/in/ada' }
+    });
+  });
+
+  it('accepts skills as an array', async () => {
+    const user = await registerUser();
+
+    const profile = await createProfile(user, { skills: ['React', ' react', 'Vue'] });
+
+    expect(profile.skills).toEqual(['React', 'Vue']);
+  });
+
+  it('clears the fields left out when the profile is replaced', async () => {
+    const user = await registerUser();
+    await createProfile(user, { company: 'Acme', twitter: 'ada' });
+
+    const profile = await createProfile(user, { bio: 'New bio' });
+
+    expect(profile.bio).toBe('New bio');
+    expect(profile.company).toBeUndefined();
+    expect(profile.social).toBeUndefined();
+  });
+
+  it('changes only the fields sent in a partial update', async () => {
+    const user = await registerUser();
+    await createProfile(user, { company: 'Acme', location: 'Paris', twitter: 'ada' });
+
+    const res = await api(user)
+      .patch('/api/profile')
+      .send({ location: 'Berlin', company: '', twitter: '', facebook: 'facebook.com/ada' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({
+      status: 'Developer',
+      location: 'Berlin',
+      social: { facebook: 'https://facebook.com/ada' }
+    });
+    expect(res.body.company).toBeUndefined();
+    expect(res.body.social.twitter).toBeUndefined();
+
+    await api(user).patch('/api/profile').send({ status: '' }).expect(400);
+  });
+
+  it('answers 404 to a partial update without a profile', async () => {
+    const user = await registerUser();
+
+    await api(user).patch('/api/profile').send({ bio: 'Hello' }).expect(404);
+  });
+
+  it('rejects an invalid website or GitHub username', async () => {
+    const user = await registerUser();
+
+    const res = await api(user)
+      .post('/api/profile')
+      .send({ status: 'Developer', skills: 'Go', website: 'not a url', githubusername: '-ada' })
+      .expect(400);
+
+    expect(res.body.error.details.map(({ field }) => field).sort()).toEqual(['githubusername', 'website']);
+  });
+
+  it('rejects social links that are neither URLs nor handles', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const res = await api(user)
+      .post('/api/profile')
+      .send({ status: 'Developer', skills: 'Go', twitter: 'a b.c', youtube: 'http://', linkedin: '/', facebook: '...' })
+      .expect(400);
+    expect(res.body.error.details.map(({ field }) => field).sort()).toEqual(['facebook', 'linkedin', 'twitter', 'youtube']);
+
+    await api(user).patch('/api/profile').send({ instagram: 'http://' }).expect(400);
+  });
+
+  it('requires a status and skills', async () => {
+    const user = await registerUser();
+
+    const res = await api(user).post('/api/profile').send({}).expect(400);
+
+    expect(res.body.error.details.map(({ field }) => field).sort()).toEqual(['skills', 'status']);
+  });
+
+  it('returns the profile of the authenticated user', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const res = await api(user).get('/api/profile/me').expect(200);
+
+    expect(res.body.user).toBe(user.id);
+  });
+
+  it('answers 404 when the user has no profile', async () => {
+    const user = await registerUser();
+
+    await api(user).get('/api/profile/me').expect(404);
+  });
+
+  it('returns the profile of any user by ID', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const res = await api().get(`/api/profile/user/${user.id}`).expect(200);
+    expect(res.body.status).toBe('Developer');
+
+    await api().get('/api/profile/user/64b7f0c2a1d3e4f5a6b7c8d9').expect(404);
+    await api().get('/api/profile/user/not-an-id').expect(404);
+  });
+
+  it('lists profiles in the directory', async () => {
+    const ada = await registerUser({ name: 'Ada' });
+    const linus = await registerUser({ name: 'Linus' });
+    await createProfile(ada, { skills: 'JavaScript' });
+    await createProfile(linus, { skills: 'C' });
+
+    const res = await api().get('/api/profile?skills=c').expect(200);
+
+    expect(res.body).toMatchObject({ page: 1, total: 1, hasMore: false });
+    expect(res.body.profiles[0].user.name).toBe('Linus');
+  });
+
+  it('rejects directory filters given more than once', async () => {
+    const res = await api().get('/api/profile?location=Paris&location=Berlin&company[]=Acme').expect(400);
+
+    expect(res.body.error.details.map(({ field }) => field).sort()).toEqual(['company', 'location']);
+  });
+
+  it('schedules the deletion of the user and hides their profile', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const res = await api(user).delete('/api/profile').expect(200);
+    expect(new Date(res.body.deletionScheduledFor).getTime()).toBeGreaterThan(Date.now());
+
+    await api().get(`/api/profile/user/${user.id}`).expect(404);
+    const { body } = await api().get('/api/profile').expect(200);
+    expect(body.total).toBe(0);
+
+    await api(user).delete('/api/profile').expect(409);
+  });
+});
+
+describe('experience and education', () => {
+  const experience = {
+    title: 'Engineer',
+    company: 'Acme',
+    from: '2019-01-01',
+    to: '2021-06-30',
+    description: 'Built things'
+  };
+
+  const education = {
+    school: 'University',
+    degree: 'BSc',
+    fieldofstudy: 'Computer Science',
+    from: '2015-09-01',
+    to: '2018-06-30'
+  };
+
+  it('adds experience to the profile, newest first', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    await api(user).put('/api/profile/experience').send(experience).expect(200);
+    const res = await api(user)
+      .put('/api/profile/experience')
+      .send({ ...experience, company: 'Initech', from: '2021-07-01', to: '2023-01-01' })
+      .expect(200);
+
+    expect(res.body.experience.map(({ company }) => company)).toEqual(['Initech', 'Acme']);
+  });
+
+  it('rejects experience without a title or company', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const res = await api(user)
+      .put('/api/profile/experience')
+      .send({ from: '2019-01-01', to: '2020-01-01' })
+      .expect(400);
+
+    expect(res.body.error.details.map(({ field }) => field).sort()).toEqual(['company', 'title']);
+  });
+
+  it('removes experience from the profile', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    const { body: profile } = await api(user).put('/api/profile/experience').send(experience).expect(200);
+
+    const res = await api(user).delete(`/api/profile/experience/${profile.experience[0]._id}`).expect(200);
+    expect(res.body.experience).toEqual([]);
+
+    await api(user).delete(`/api/profile/experience/${profile.experience[0]._id}`).expect(404);
+  });
+
+  it('accepts a current position without an end date', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const res = await api(user)
+      .put('/api/profile/experience')
+      .send({ title: 'Engineer', company: 'Acme', from: '2022-01-01', to: '2023-01-01', current: true })
+      .expect(200);
+
+    expect(res.body.experience[0]).toMatchObject({ current: true });
+    expect(res.body.experience[0].to).toBeUndefined();
+  });
+
+  it('rejects an end date before the start or a missing one', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const backwards = await api(user)
+      .put('/api/profile/experience')
+      .send({ ...experience, to: '2018-01-01' })
+      .expect(400);
+    expect(backwards.body.error.details).toEqual([expect.objectContaining({ field: 'to' })]);
+
+    const { to, ...withoutEnd } = experience;
+    await api(user).put('/api/profile/experience').send(withoutEnd).expect(400);
+  });
+
+  it('edits a single experience', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    const { body: profile } = await api(user).put('/api/profile/experience').send(experience).expect(200);
+    const id = profile.experience[0]._id;
+
+    const res = await api(user).patch(`/api/profile/experience/${id}`).send({ company: 'Acme Corp' }).expect(200);
+    expect(res.body.experience[0]).toMatchObject({ _id: id, title: 'Engineer', company: 'Acme Corp' });
+
+    const current = await api(user).patch(`/api/profile/experience/${id}`).send({ current: true }).expect(200);
+    expect(current.body.experience[0].to).toBeUndefined();
+
+    await api(user).patch(`/api/profile/experience/${id}`).send({ current: false }).expect(400);
+    await api(user).patch(`/api/profile/experience/${id}`).send({ from: '2030-01-01', current: false, to: '2029-01-01' }).expect(400);
+    await api(user).patch('/api/profile/experience/64b7f0c2a1d3e4f5a6b7c8d9').send({ title: 'Lead' }).expect(404);
+  });
+
+  it('reorders the experience', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    await api(user).put('/api/profile/experience').send(experience).expect(200);
+    const { body: profile } = await api(user)
+      .put('/api/profile/experience')
+      .send({ ...experience, company: 'Initech' })
+      .expect(200);
+    const ids = profile.experience.map(({ _id }) => _id);
+
+    const res = await api(user).put('/api/profile/experience/order').send({ ids: [...ids].reverse() }).expect(200);
+    expect(res.body.experience.map(({ company }) => company)).toEqual(['Acme', 'Initech']);
+
+    await api(user).put('/api/profile/experience/order').send({ ids: [ids[0]] }).expect(400);
+  });
+
+  it('edits and reorders education', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+    await api(user).put('/api/profile/education').send(education).expect(200);
+    const { body: profile } = await api(user)
+      .put('/api/profile/education')
+      .send({ ...education, school: 'College', current: true })
+      .expect(200);
+    const ids = profile.education.map(({ _id }) => _id);
+
+    const edited = await api(user).patch(`/api/profile/education/${ids[1]}`).send({ degree: 'MSc' }).expect(200);
+    expect(edited.body.education[1]).toMatchObject({ school: 'University', degree: 'MSc' });
+
+    const res = await api(user).put('/api/profile/education/order').send({ ids: [ids[1], ids[0]] }).expect(200);
+    expect(res.body.education.map(({ school }) => school)).toEqual(['University', 'College']);
+  });
+
+  it('adds and removes education', async () => {
+    const user = await registerUser();
+    await createProfile(user);
+
+    const { body: profile } = await api(user).put('/api/profile/education').send(education).expect(200);
+    expect(profile.education[0]).toMatchObject({ school: 'University', degree: 'BSc' });
+
+    const res = await api(user).delete(`/api/profile/education/${profile.education[0]._id}`).expect(200);
+    expect(res.body.education).toEqual([]);
+  });
+
+  it('answers 404 when the user has no profile yet', async () => {
+    const user = await registerUser();
+
+    await api(user).put('/api/profile/education').send(education).expect(404);
+  });
+});
@@ -0,0 +1,147 @@
+const { api, registerUser, createPost } = require('../helpers/api');
+const { setHidden } = require('../../utils/moderation');
+
+const MISSING_ID = '64b7f0c2a1d3e4f5a6b7c8d9';
+
+describe('reposts', () => {
+  it('reposts a post and counts it on the original', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser({ name: 'Grace' });
+    const post = await createPost(author, 'Worth sharing');
+
+    const res = await api(reposter).post(`/api/posts/repost/${post._id}`).expect(200);
+
+    expect(res.body).toMatchObject({ user: reposter.id, name: 'Grace', repostOf: { _id: post._id, text: 'Worth sharing' } });
+    expect(res.body.text).toBeUndefined();
+
+    const original = await api(author).get(`/api/posts/${post._id}`).expect(200);
+    expect(original.body).toMatchObject({ repostCount: 1, quoteCount: 0 });
+
+    const notifications = await api(author).get('/api/notifications').expect(200);
+    expect(notifications.body.notifications[0]).toMatchObject({ type: 'repost', post: post._id });
+  });
+
+  it('quotes a post with text of its own', async () => {
+    const author = await registerUser();
+    const quoter = await registerUser();
+    const post = await createPost(author, 'Original');
+
+    const res = await api(quoter).post(`/api/posts/repost/${post._id}`).send({ text: 'So **true**' }).expect(200);
+
+    expect(res.body).toMatchObject({ text: 'So **true**', repostOf: { _id: post._id } });
+    expect(res.body.html).toContain('<strong>true</strong>');
+
+    const original = await api(author).get(`/api/posts/${post._id}`).expect(200);
+    expect(original.body).toMatchObject({ repostCount: 0, quoteCount: 1 });
+  });
+
+  it('treats blank text as a repost without text', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const post = await createPost(author);
+
+    const res = await api(reposter).post(`/api/posts/repost/${post._id}`).send({ text: '   ' }).expect(200);
+
+    expect(res.body.text).toBeUndefined();
+    expect(res.body.plainRepost).toBe(true);
+  });
+
+  it('rejects reposting a post twice, also through another repost', async () => {
+    const author = await registerUser();
+    const first = await registerUser();
+    const second = await registerUser();
+    const post = await createPost(author);
+
+    const { body: repost } = await api(first).post(`/api/posts/repost/${post._id}`).expect(200);
+    await api(first).post(`/api/posts/repost/${post._id}`).expect(409);
+
+    // Reposting a repost shares the original post
+    const res = await api(second).post(`/api/posts/repost/${repost._id}`).expect(200);
+    expect(res.body.repostOf._id).toBe(post._id);
+    await api(second).post(`/api/posts/repost/${post._id}`).expect(409);
+  });
+
+  it('counts concurrent reposts by the same user once', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const post = await createPost(author);
+
+    const results = await Promise.all([
+      api(reposter).post(`/api/posts/repost/${post._id}`),
+      api(reposter).post(`/api/posts/repost/${post._id}`)
+    ]);
+
+    expect(results.map(({ status }) => status).sort()).toEqual([200, 409]);
+    const original = await api(author).get(`/api/posts/${post._id}`).expect(200);
+    expect(original.body.repostCount).toBe(1);
+  });
+
+  it('shows reposts in the feed of followers', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const follower = await registerUser();
+    const post = await createPost(author, 'Shared');
+    await api(follower).post(`/api/follow/${reposter.id}`).expect(200);
+
+    await api(reposter).post(`/api/posts/repost/${post._id}`).expect(200);
+
+    const res = await api(follower).get('/api/posts/feed').expect(200);
+    expect(res.body.posts).toHaveLength(1);
+    expect(res.body.posts[0]).toMatchObject({ user: reposter.id, repostOf: { _id: post._id, text: 'Shared' } });
+  });
+
+  it('leaves out reposts of posts hidden by reports', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const post = await createPost(author);
+    const { body: repost } = await api(reposter).post(`/api/posts/repost/${post._id}`).expect(200);
+
+    await setHidden('post', post._id, true);
+
+    const feed = await api(reposter).get('/api/posts/feed').expect(200);
+    expect(feed.body.posts).toEqual([]);
+    await api(reposter).get(`/api/posts/${repost._id}`).expect(404);
+  });
+
+  it('undoes a repost', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const post = await createPost(author);
+    await api(reposter).post(`/api/posts/repost/${post._id}`).expect(200);
+
+    await api(reposter).delete(`/api/posts/repost/${post._id}`).expect(200);
+    await api(reposter).delete(`/api/posts/repost/${post._id}`).expect(400);
+
+    const original = await api(author).get(`/api/posts/${post._id}`).expect(200);
+    expect(original.body.repostCount).toBe(0);
+  });
+
+  it('does not let a repost without text be edited', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const post = await createPost(author);
+    const { body: repost } = await api(reposter).post(`/api/posts/repost/${post._id}`).expect(200);
+
+    await api(reposter).patch(`/api/posts/${repost._id}`).send({ text: 'Changed my mind' }).expect(400);
+  });
+
+  it('removes reposts with the original and keeps quote posts', async () => {
+    const author = await registerUser();
+    const reposter = await registerUser();
+    const post = await createPost(author);
+    const { body: repost } = await api(reposter).post(`/api/posts/repost/${post._id}`).expect(200);
+    const { body: quote } = await api(reposter).post(`/api/posts/repost/${post._id}`).send({ text: 'Quoted' }).expect(200);
+
+    await api(author).delete(`/api/posts/${post._id}`).expect(200);
+
+    await api(reposter).get(`/api/posts/${repost._id}`).expect(404);
+    const res = await api(reposter).get(`/api/posts/${quote._id}`).expect(200);
+    expect(res.body).toMatchObject({ text: 'Quoted', repostOf: null });
+  });
+
+  it('answers 404 for a missing post', async () => {
+    const user = await registerUser();
+
+    await api(user).post(`/api/posts/repost/${MISSING_ID}`).expect(404);
+  });
+});
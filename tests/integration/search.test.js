@@ -0,0 +1,21 @@
+const { api, registerUser, createPost } = require('../helpers/api');
+
+describe('search', () => {
+  it('finds posts matching the query with highlights', async () => {
+    const user = await registerUser();
+    await createPost(user, 'Learning node streams');
+    await createPost(user, 'Unrelated');
+
+    const res = await api(user).get('/api/search?q=node&type=posts').expect(200);
+
+    expect(res.body.results).toHaveLength(1);
+    expect(res.body.results[0]).toMatchObject({ type: 'post', score: 1, item: { text: 'Learning node streams' } });
+    expect(res.body.results[0].highlights.text).toEqual(['Learning <mark>node</mark> streams']);
+  });
+
+  it('rejects a query given more than once', async () => {
+    const user = await registerUser();
+
+    await api(user).get('/api/search?q=node&q=go').expect(400);
+  });
+});
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const connectDB = require('../../connect/dbConnect');
+const { setTransport } = require('../../utils/mailer');
+const { memoryStore, setStore } = require('../../utils/rateLimitStore');
+
+// Emails sent during the current test, see tests/helpers/api
+global.sentEmails = [];
+
+let mongoServer;
+
+// Every test file gets its own in-memory database
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await connectDB(mongoServer.getUri());
+  await Promise.all(Object.values(mongoose.models).map((model) => model.syncIndexes()));
+});
+
+// Start each test from empty collections, fresh rate limits and no emails
+beforeEach(async () => {
+  await Promise.all(
+    Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({}))
+  );
+  setStore(memoryStore());
+  global.sentEmails = [];
+  setTransport({
+    async send(message) {
+      global.sentEmails.push(message);
+    }
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer?.stop(); // Not set when the server failed to start
+});
@@ -0,0 +1,8 @@
+const os = require('os');
+const path = require('path');
+
+// Settings read when the app modules are loaded, so they are set before any test file runs
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.OPENAPI_RESPONSE_VALIDATION = 'error'; // Fail on any response that breaks the API contract
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), 'connectpro-test-uploads');
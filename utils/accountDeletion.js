@@ -0,0 +1,161 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Session = require('../models/Session');
+const ActionToken = require('../models/ActionToken');
+const HandleRedirect = require('../models/HandleRedirect');
+const Bookmark = require('../models/Bookmark');
+const { removePost, removeComment } = require('./content');
+const { removeUploads } = require('./uploads');
+const { withdrawAllEndorsements } = require('./endorsements');
+const { ConflictError, BadRequestError } = require('./errors');
+
+// Days an account can still be restored after its deletion was requested
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+// How often accounts whose grace period has ended are looked for, in minutes
+const PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+// Flag the content of an account while it waits to be deleted, so listings leave it out without looking up accounts
+async function markPendingDeletion(userId, pendingDeletion) {
+  await Post.updateMany({ user: userId }, { $set: { pendingDeletion } });
+  await Comment.updateMany({ user: userId }, { $set: { pendingDeletion } });
+  await Profile.updateMany({ user: userId }, { $set: { pendingDeletion } });
+}
+
+// Filter condition leaving out the content of accounts waiting to be deleted, except the viewer's own
+function withoutPendingDeletion(viewerId) {
+  return { $or: [{ pendingDeletion: { $ne: true } }, { user: viewerId }] };
+}
+
+// Schedule the deletion of an account at the end of the grace period, resolves to the user
+async function scheduleAccountDeletion(user) {
+  if (user.deletionScheduledFor) {
+    throw new ConflictError('Account deletion is already scheduled');
+  }
+
+  user.deletionScheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  await user.save();
+  await markPendingDeletion(user._id, true);
+  return user;
+}
+
+// Keep an account whose deletion was scheduled, resolves to the user
+async function cancelAccountDeletion(user) {
+  if (!user.deletionScheduledFor) {
+    throw new BadRequestError('Account deletion is not scheduled');
+  }
+
+  user.deletionScheduledFor = undefined;
+  await user.save();
+  await markPendingDeletion(user._id, false);
+  return user;
+}
+
+// Remove the comments of a user, keeping the replies of other users attached to their threads
+async function removeUserComments(userId) {
+  // Deepest replies first, so a comment only answered by the same user can be deleted rather than blanked
+  const comments = await Comment.find({ user: userId, deleted: false }).select('_id').sort({ depth: -1 });
+  for (const { _id } of comments) {
+    const comment = await Comment.findById(_id); // Reload, removing replies changed the reply count
+    if (comment) await removeComment(comment);
+  }
+
+  // Comments blanked before their author was cleared with them stay in their threads anonymously
+  await Comment.updateMany(
+    { user: userId, deleted: true },
+    { $unset: { user: '', name: '', avatar: '' }, $set: { pendingDeletion: false } }
+  );
+}
+
+// Take a user out of their conversations, deleting those left with a single participant
+async function leaveConversations(userId) {
+  const conversations = await Conversation.find({ 'participants.user': userId }).select('_id');
+  const ids = conversations.map(({ _id }) => _id);
+
+  await Message.deleteMany({ sender: userId });
+  await Conversation.updateMany(
+    { _id: { $in: ids } },
+    { $pull: { participants: { user: userId } } }
+  );
+  await Conversation.updateMany(
+    { _id: { $in: ids }, 'lastMessage.sender': userId },
+    { $unset: { lastMessage: '' } }
+  );
+
+  const abandoned = await Conversation.find({ _id: { $in: ids }, 'participants.1': { $exists: false } }).select('_id');
+  const abandonedIds = abandoned.map(({ _id }) => _id);
+  await Message.deleteMany({ conversation: { $in: abandonedIds } });
+  await Conversation.deleteMany({ _id: { $in: abandonedIds } });
+}
+
+/**
+ * Delete an account for good: the user, their profile, posts, comments and messages,
+ * and every trace of them in other users' content, such as likes, mentions and endorsements.
+ */
+async function purgeAccount(userId) {
+  const user = await User.findById(userId);
+  if (!user) return;
+
+  const posts = await Post.find({ user: userId }).select('_id');
+  for (const post of posts) {
+    await removePost(post.id); // Also removes the comments, edit history, bookmarks and attachments of the post
+  }
+  await removeUserComments(userId);
+
+  await Post.updateMany({ 'likes.user': userId }, { $pull: { likes: { user: userId } } });
+  await Comment.updateMany({ 'likes.user': userId }, { $pull: { likes: { user: userId } } });
+  await Post.updateMany({ mentions: userId }, { $pull: { mentions: userId } });
+
+  await withdrawAllEndorsements(userId); // Keeps the endorsement counts in step
+
+  await leaveConversations(userId);
+  await Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+  await Notification.deleteMany({ $or: [{ recipient: userId }, { actor: userId }] });
+  await Report.deleteMany({ reporter: userId });
+  await Bookmark.deleteMany({ user: userId });
+  await Session.deleteMany({ user: userId });
+  await ActionToken.deleteMany({ user: userId });
+  await HandleRedirect.deleteMany({ user: userId }); // Former handles become free to take
+  await Profile.deleteOne({ user: userId });
+
+  await removeUploads([{ key: user.avatarKey, thumbnailKey: user.avatarThumbnailKey }]);
+  await User.deleteOne({ _id: userId });
+}
+
+// Purge every account whose grace period has ended, resolves to the number of accounts purged
+async function purgeDueAccounts(now = new Date()) {
+  const users = await User.find({ deletionScheduledFor: { $lte: now } }).select('_id');
+  for (const user of users) {
+    await purgeAccount(user._id);
+  }
+  return users.length;
+}
+
+// Purge due accounts periodically, failures are logged and retried on the next run
+function startAccountPurge() {
+  const timer = setInterval(() => {
+    purgeDueAccounts().catch((err) => console.error('Could not purge deleted accounts:', err.message));
+  }, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref(); // Do not keep the process alive just for the purge
+  return timer;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  withoutPendingDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+  startAccountPurge
+};
@@ -0,0 +1,39 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { issueActionToken } = require('./actionTokens');
+const { sendMail } = require('./mailer');
+
+// Base URL of the client app, used to build the links in emails
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:3000';
+
+// Email a user a link to verify their email address
+async function sendVerificationEmail(user) {
+  const token = await issueActionToken(user.id, 'email-verification');
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your ConnectPro email',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening this link:\n` +
+      `${CLIENT_URL}/verify-email?token=${token}\n\n` +
+      `The link expires in 24 hours.`
+  });
+}
+
+// Email a user a link to choose a new password
+async function sendPasswordResetEmail(user) {
+  const token = await issueActionToken(user.id, 'password-reset');
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your ConnectPro password',
+    text:
+      `Hi ${user.name},\n\n` +
+      `Someone asked to reset the password of your ConnectPro account. ` +
+      `If it was you, open this link to choose a new one:\n` +
+      `${CLIENT_URL}/reset-password?token=${token}\n\n` +
+      `The link expires in 1 hour. If you did not ask for this, you can ignore this email.`
+  });
+}
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
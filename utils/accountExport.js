@@ -0,0 +1,64 @@
+const User = require('../models/User');
+const Profile = require('../models/Profile');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Follow = require('../models/Follow');
+const Message = require('../models/Message');
+const HandleRedirect = require('../models/HandleRedirect');
+const Bookmark = require('../models/Bookmark');
+
+/**
+ * Gather everything stored about a user into a single JSON archive: the account,
+ * profile, posts with their edit history, comments, likes, follows, sent messages,
+ * bookmarks, endorsements given and former handles.
+ */
+async function buildAccountExport(userId) {
+  const account = await User.findById(userId).select('-password').lean();
+  const profile = await Profile.findOne({ user: userId }).lean();
+  const posts = await Post.find({ user: userId }).sort({ date: 1 }).lean();
+  const postRevisions = await PostRevision.find({ post: { $in: posts.map(({ _id }) => _id) } })
+    .sort({ date: 1 })
+    .lean();
+  const comments = await Comment.find({ user: userId, deleted: false }).sort({ date: 1 }).lean();
+  const likedPosts = await Post.find({ 'likes.user': userId }).select('_id').lean();
+  const likedComments = await Comment.find({ 'likes.user': userId }).select('_id').lean();
+  const following = await Follow.find({ follower: userId }).select('following date').lean();
+  const followers = await Follow.find({ following: userId }).select('follower date').lean();
+  const messages = await Message.find({ sender: userId }).sort({ date: 1 }).lean();
+  const bookmarks = await Bookmark.find({ user: userId }).select('post date').sort({ date: 1 }).lean();
+  const previousHandles = await HandleRedirect.find({ user: userId }).sort({ date: 1 }).lean();
+  const endorsedProfiles = await Profile.find({ 'endorsements.endorsers.user': userId })
+    .select('user endorsements')
+    .lean();
+
+  // Skills the user endorsed on the profiles of others
+  const endorsementsGiven = [];
+  for (const { user, endorsements } of endorsedProfiles) {
+    for (const { skill, endorsers } of endorsements) {
+      const endorser = endorsers.find((entry) => entry.user.toString() === userId.toString());
+      if (endorser) endorsementsGiven.push({ user, skill, date: endorser.date });
+    }
+  }
+
+  return {
+    exportedAt: new Date(),
+    account,
+    profile,
+    posts,
+    postRevisions,
+    comments,
+    likes: {
+      posts: likedPosts.map(({ _id }) => _id),
+      comments: likedComments.map(({ _id }) => _id)
+    },
+    following: following.map(({ following: user, date }) => ({ user, date })),
+    followers: followers.map(({ follower: user, date }) => ({ user, date })),
+    messages,
+    bookmarks: bookmarks.map(({ post, date }) => ({ post, date })),
+    endorsementsGiven,
+    previousHandles: previousHandles.map(({ handle, date }) => ({ handle, date }))
+  };
+}
+
+module.exports = { buildAccountExport };
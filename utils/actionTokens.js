@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const ActionToken = require('../models/ActionToken');
+const { BadRequestError } = require('./errors');
+
+// How long each kind of emailed token stays valid, in seconds
+const TOKEN_TTL = {
+  'password-reset': 60 * 60,
+  'email-verification': 24 * 60 * 60
+};
+
+// Error raised when an emailed token is invalid, expired or already used
+class ActionTokenError extends BadRequestError {}
+
+// Issue a signed token allowing a user to perform a single action
+async function issueActionToken(userId, purpose) {
+  const jti = crypto.randomBytes(16).toString('hex');
+  const ttl = TOKEN_TTL[purpose];
+
+  await ActionToken.create({
+    user: userId,
+    purpose,
+    jti,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return jwt.sign(
+    { sub: userId.toString(), purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: ttl, jwtid: jti }
+  );
+}
+
+// Verify a token for the given purpose and mark it as used, resolves to the user ID it was issued for
+async function consumeActionToken(token, purpose) {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (err) {
+    throw new ActionTokenError('Token is invalid or has expired');
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new ActionTokenError('Token is invalid or has expired');
+  }
+
+  // Claim the token atomically so it cannot be used twice
+  const record = await ActionToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, usedAt: null },
+    { $set: { usedAt: Date.now() } }
+  );
+
+  if (!record) {
+    throw new ActionTokenError('Token has already been used');
+  }
+
+  return record.user.toString();
+}
+
+// Invalidate every outstanding token of a purpose for a user
+async function revokeActionTokens(userId, purpose) {
+  await ActionToken.updateMany(
+    { user: userId, purpose, usedAt: null },
+    { $set: { usedAt: Date.now() } }
+  );
+}
+
+module.exports = {
+  ActionTokenError,
+  issueActionToken,
+  consumeActionToken,
+  revokeActionTokens
+};
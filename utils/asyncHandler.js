@@ -0,0 +1,7 @@
+// Wrap an async route handler so a rejected promise reaches the error handling middleware
+// Express 4 does not forward rejections by itself
+module.exports = function asyncHandler(handler) {
+  return function asyncRouteHandler(req, res, next) {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+};
@@ -0,0 +1,37 @@
+// Minimal in-memory key/value cache where every entry expires after a time-to-live
+class TTLCache {
+  constructor({ ttl, maxEntries = 1000 }) {
+    this.ttl = ttl; // Milliseconds an entry stays fresh
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  set(key, value, ttl = this.ttl) {
+    // Evict the oldest entry once full, Maps iterate in insertion order
+    if (!this.entries.has(key) && this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = TTLCache;
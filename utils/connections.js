@@ -0,0 +1,42 @@
+// Open WebSocket connections of every connected user, a user can be connected from several devices
+// Each socket carries the ID of the session it was authenticated with in `sessionId`
+const connections = new Map();
+
+// Close codes sent to clients, they can reconnect with a fresh access token
+const CLOSE_SESSION_ENDED = 4001;
+const CLOSE_TOKEN_EXPIRED = 4002;
+
+function addConnection(userId, socket) {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+}
+
+function removeConnection(userId, socket) {
+  const sockets = connections.get(userId);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) connections.delete(userId);
+}
+
+// Open connections of a user, empty when they are not connected
+function connectionsOf(userId) {
+  return connections.get(userId.toString()) || new Set();
+}
+
+// Close the connections of a user, only those of one session when `sessionId` is given
+function closeConnections(userId, sessionId) {
+  for (const socket of connectionsOf(userId)) {
+    if (!sessionId || socket.sessionId === sessionId.toString()) {
+      socket.close(CLOSE_SESSION_ENDED, 'Session ended');
+    }
+  }
+}
+
+module.exports = {
+  CLOSE_SESSION_ENDED,
+  CLOSE_TOKEN_EXPIRED,
+  addConnection,
+  removeConnection,
+  connectionsOf,
+  closeConnections
+};
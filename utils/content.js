@@ -0,0 +1,71 @@
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Bookmark = require('../models/Bookmark');
+const { removeUploads } = require('./uploads');
+
+// Whether a post shares another one as is, without text of its own
+function isPlainRepost(post) {
+  return post.plainRepost === true;
+}
+
+/**
+ * Delete a post together with its comments, edit history, bookmarks and attachments.
+ * Plain reposts of the post go with it, quote posts keep their own text.
+ */
+async function removePost(postId) {
+  const post = await Post.findByIdAndRemove(postId);
+  if (post) {
+    await removeUploads(post.attachments);
+    // Keep the counters of the reposted post in step
+    if (post.repostOf) {
+      const counter = isPlainRepost(post) ? 'repostCount' : 'quoteCount';
+      await Post.updateOne({ _id: post.repostOf }, { $inc: { [counter]: -1 } });
+    }
+  }
+  await Comment.deleteMany({ post: postId });
+  await PostRevision.deleteMany({ post: postId });
+  await Bookmark.deleteMany({ post: postId });
+
+  const reposts = await Post.find({ repostOf: postId, plainRepost: true }).select('_id');
+  for (const repost of reposts) {
+    await removePost(repost.id);
+  }
+}
+
+// Count a reply as gone from its parent, removing blanked parents left without replies up the thread
+async function releaseParent(parentId) {
+  let id = parentId;
+  while (id) {
+    const parent = await Comment.findOneAndUpdate({ _id: id }, { $inc: { replyCount: -1 } }, { new: true });
+    if (!parent || !parent.deleted || parent.replyCount > 0) return;
+
+    // Blanked comments are no longer counted on the post, a reply arriving meanwhile keeps the comment
+    const { deletedCount } = await Comment.deleteOne({ _id: parent.id, deleted: true, replyCount: 0 });
+    if (deletedCount === 0) return;
+    id = parent.parent;
+  }
+}
+
+// Delete a comment and keep the thread counters in step
+// A comment with replies is blanked instead, so the replies stay attached to the thread
+async function removeComment(comment) {
+  if (comment.replyCount > 0) {
+    comment.deleted = true;
+    comment.text = '[deleted]';
+    comment.likes = [];
+    // Nothing identifies the author of a blanked comment
+    comment.user = undefined;
+    comment.name = undefined;
+    comment.avatar = undefined;
+    comment.pendingDeletion = false; // Placeholders stay in their threads whoever wrote the comment
+    await comment.save();
+  } else {
+    await Comment.deleteOne({ _id: comment.id });
+    await releaseParent(comment.parent);
+  }
+
+  await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+}
+
+module.exports = { isPlainRepost, removePost, removeComment };
@@ -0,0 +1,139 @@
+const Profile = require('../models/Profile');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+
+// Endorsements are changed with single atomic updates, so concurrent endorsements and
+// profile edits never overwrite each other and counts stay in step with the endorsers
+
+// Attempts at endorsing a skill whose entry a concurrent withdrawal keeps removing
+const ENDORSE_ATTEMPTS = 3;
+
+// Find a skill listed on a profile ignoring case, returns its spelling on the profile
+function findSkill(profile, skill) {
+  const wanted = skill.trim().toLowerCase();
+  return profile.skills.find((listed) => listed.trim().toLowerCase() === wanted) || null;
+}
+
+function hasEndorsed(endorsement, userId) {
+  return endorsement.endorsers.some(({ user }) => user.toString() === userId.toString());
+}
+
+/**
+ * Endorse a skill of a profile on behalf of a user.
+ * Resolves to { profile, skill } with the updated profile and the skill as spelled on it.
+ */
+async function endorseSkill(profile, requested, userId) {
+  if (profile.user.toString() === userId.toString()) {
+    throw new BadRequestError('You cannot endorse your own skills');
+  }
+
+  const skill = findSkill(profile, requested);
+  if (!skill) {
+    throw new NotFoundError('Skill not found on this profile');
+  }
+
+  for (let attempt = 0; attempt < ENDORSE_ATTEMPTS; attempt += 1) {
+    // Start the endorsements of the skill, unless another request already did
+    await Profile.updateOne(
+      { _id: profile._id, skills: skill, 'endorsements.skill': { $ne: skill } },
+      { $push: { endorsements: { skill, count: 0, endorsers: [] } } }
+    );
+
+    const updated = await Profile.findOneAndUpdate(
+      { _id: profile._id, skills: skill, endorsements: { $elemMatch: { skill, 'endorsers.user': { $ne: userId } } } },
+      {
+        $push: { 'endorsements.$.endorsers': { user: userId, date: new Date() } },
+        $inc: { 'endorsements.$.count': 1 }
+      },
+      { new: true }
+    );
+    if (updated) return { profile: updated, skill };
+
+    // Nothing changed: the user already endorsed the skill, it was removed from the profile,
+    // or its entry was dropped by a concurrent withdrawal and has to be started again
+    const current = await Profile.findById(profile._id);
+    if (!current || !current.skills.includes(skill)) break;
+    const endorsement = current.endorsements.find((entry) => entry.skill === skill);
+    if (endorsement && hasEndorsed(endorsement, userId)) {
+      throw new ConflictError('Skill already endorsed');
+    }
+  }
+
+  throw new NotFoundError('Skill not found on this profile');
+}
+
+// Drop the entries of skills left without endorsers, resolves to the updated profile
+async function dropUnendorsed(profile) {
+  if (profile.endorsements.every(({ endorsers }) => endorsers.length > 0)) return profile;
+
+  // Only entries still empty are removed, a concurrent endorsement keeps its entry
+  return Profile.findOneAndUpdate(
+    { _id: profile._id },
+    { $pull: { endorsements: { endorsers: { $size: 0 } } } },
+    { new: true }
+  );
+}
+
+// Take back the endorsement of a skill by a user, resolves to the updated profile
+async function withdrawEndorsement(profile, requested, userId) {
+  const skill = findSkill(profile, requested);
+  const updated =
+    skill &&
+    (await Profile.findOneAndUpdate(
+      { _id: profile._id, endorsements: { $elemMatch: { skill, 'endorsers.user': userId } } },
+      {
+        $pull: { 'endorsements.$.endorsers': { user: userId } },
+        $inc: { 'endorsements.$.count': -1 }
+      },
+      { new: true }
+    ));
+
+  if (!updated) {
+    throw new BadRequestError('Skill has not yet been endorsed');
+  }
+
+  return dropUnendorsed(updated);
+}
+
+// Take back every endorsement a user gave, on every profile
+async function withdrawAllEndorsements(userId) {
+  const endorsed = await Profile.find({ 'endorsements.endorsers.user': userId }).select('_id');
+  const ids = endorsed.map(({ _id }) => _id);
+
+  await Profile.updateMany(
+    { _id: { $in: ids } },
+    {
+      $pull: { 'endorsements.$[endorsement].endorsers': { user: userId } },
+      $inc: { 'endorsements.$[endorsement].count': -1 }
+    },
+    { arrayFilters: [{ 'endorsement.endorsers.user': userId }] }
+  );
+  await Profile.updateMany({ _id: { $in: ids } }, { $pull: { endorsements: { endorsers: { $size: 0 } } } });
+}
+
+/**
+ * Drop the endorsements of skills no longer listed on a profile, and follow changes
+ * in the spelling of those still listed. Resolves to the profile, reloaded if anything changed.
+ */
+async function pruneEndorsements(profile) {
+  let changed = false;
+
+  for (const { skill: endorsed } of profile.endorsements) {
+    const skill = findSkill(profile, endorsed);
+    if (skill && skill !== endorsed) {
+      await Profile.updateOne(
+        { _id: profile._id, 'endorsements.skill': endorsed },
+        { $set: { 'endorsements.$.skill': skill } }
+      );
+      changed = true;
+    }
+  }
+
+  if (profile.endorsements.some(({ skill }) => !findSkill(profile, skill))) {
+    await Profile.updateOne({ _id: profile._id }, { $pull: { endorsements: { skill: { $nin: profile.skills } } } });
+    changed = true;
+  }
+
+  return changed ? Profile.findById(profile._id) : profile;
+}
+
+module.exports = { endorseSkill, withdrawEndorsement, withdrawAllEndorsements, pruneEndorsements };
@@ -0,0 +1,79 @@
+// Base class of errors that map to an HTTP response, handled by middleware/errorHandler
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status; // HTTP status code of the response
+    this.code = code; // Stable machine-readable error code
+    this.details = details; // Optional extra information, e.g. the invalid fields
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message = 'Bad request', details) {
+    super(400, 'BAD_REQUEST', message, details);
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(details, message = 'Validation failed') {
+    super(400, 'VALIDATION_ERROR', message, details);
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Authorization denied') {
+    super(401, 'UNAUTHORIZED', message);
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'Permission denied') {
+    super(403, 'FORBIDDEN', message);
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found') {
+    super(404, 'NOT_FOUND', message);
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message = 'Conflict') {
+    super(409, 'CONFLICT', message);
+  }
+}
+
+class TooManyRequestsError extends ApiError {
+  constructor(message = 'Too many requests, please try again later', retryAfter) {
+    super(429, 'TOO_MANY_REQUESTS', message);
+    this.retryAfter = retryAfter; // Seconds until the client may try again
+  }
+}
+
+class ServiceUnavailableError extends ApiError {
+  constructor(message = 'Service unavailable', retryAfter) {
+    super(503, 'SERVICE_UNAVAILABLE', message);
+    this.retryAfter = retryAfter; // Seconds until the client may try again
+  }
+}
+
+class BadGatewayError extends ApiError {
+  constructor(message = 'Upstream service failed') {
+    super(502, 'BAD_GATEWAY', message);
+  }
+}
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  ServiceUnavailableError,
+  BadGatewayError
+};
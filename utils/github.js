@@ -0,0 +1,100 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const TTLCache = require('./cache');
+const {
+  NotFoundError,
+  ServiceUnavailableError,
+  BadGatewayError
+} = require('./errors');
+
+// Base URL of the GitHub REST API, point it at a local stub when testing
+const GITHUB_API_URL = process.env.GITHUB_API_URL || 'https://api.github.com';
+// Seconds a user's repository list is served from the cache
+const GITHUB_CACHE_TTL = parseInt(process.env.GITHUB_CACHE_TTL, 10) || 600;
+// Number of repositories returned per user
+const REPO_COUNT = 5;
+
+const cache = new TTLCache({ ttl: GITHUB_CACHE_TTL * 1000 });
+
+// Keep the fields clients need, with consistent names
+function normalizeRepo(repo) {
+  return {
+    id: repo.id,
+    name: repo.name,
+    fullName: repo.full_name,
+    description: repo.description,
+    url: repo.html_url,
+    language: repo.language,
+    stars: repo.stargazers_count,
+    forks: repo.forks_count,
+    watchers: repo.watchers_count,
+    fork: repo.fork,
+    createdAt: repo.created_at,
+    updatedAt: repo.updated_at
+  };
+}
+
+// Turn a failed GitHub response into the error to answer the client with
+function toGitHubError(err) {
+  const response = err.response;
+
+  if (!response) {
+    return new BadGatewayError('GitHub is unreachable');
+  }
+
+  if (response.status === 404) {
+    return new NotFoundError('No GitHub profile found');
+  }
+
+  const remaining = response.headers['x-ratelimit-remaining'];
+  if (response.status === 429 || (response.status === 403 && remaining === '0')) {
+    const reset = parseInt(response.headers['x-ratelimit-reset'], 10);
+    const retryAfter =
+      parseInt(response.headers['retry-after'], 10) ||
+      (reset ? Math.max(1, reset - Math.floor(Date.now() / 1000)) : 60);
+    return new ServiceUnavailableError('GitHub rate limit exceeded, try again later', retryAfter);
+  }
+
+  return new BadGatewayError('GitHub request failed');
+}
+
+// Fetch the latest public repositories of a GitHub user, served from the cache when fresh
+async function fetchLatestRepos(username) {
+  const key = username.toLowerCase();
+  const cached = cache.get(key);
+  if (cached) {
+    if (cached instanceof NotFoundError) throw cached;
+    return cached;
+  }
+
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    'User-Agent': 'ConnectPro-Server'
+  };
+  if (process.env.GITHUB_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+
+  try {
+    const response = await axios.get(
+      `${GITHUB_API_URL}/users/${encodeURIComponent(username)}/repos`,
+      {
+        headers,
+        params: { per_page: REPO_COUNT, sort: 'created', direction: 'desc' },
+        timeout: 5000
+      }
+    );
+    const repos = response.data.map(normalizeRepo);
+    cache.set(key, repos);
+    return repos;
+  } catch (err) {
+    const error = toGitHubError(err);
+    // Remember unknown users too, so repeated lookups do not spend the rate limit
+    if (error instanceof NotFoundError) cache.set(key, error);
+    throw error;
+  }
+}
+
+module.exports = { fetchLatestRepos, cache };
@@ -0,0 +1,12 @@
+const gravatar = require('gravatar');
+
+// Build the Gravatar URL used as a user's default avatar
+function gravatarUrl(email) {
+  return 'https:' + gravatar.url(email, {
+    s: '200', // Size of the avatar image
+    r: 'pg', // Rating of the image (PG rating)
+    d: 'mm' // Default image if no avatar is available (mystery-man)
+  });
+}
+
+module.exports = gravatarUrl;
@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const HandleRedirect = require('../models/HandleRedirect');
+const { ConflictError } = require('./errors');
+
+// 3 to 30 letters, digits and single hyphens, not starting or ending with a hyphen
+const HANDLE_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){2,29}$/i;
+
+// Handles that would be confused with pages of the site or with its staff
+const RESERVED_HANDLES = new Set([
+  'about',
+  'account',
+  'admin',
+  'administrator',
+  'api',
+  'auth',
+  'connectpro',
+  'dashboard',
+  'docs',
+  'edit',
+  'feed',
+  'handle',
+  'help',
+  'login',
+  'logout',
+  'me',
+  'messages',
+  'moderator',
+  'new',
+  'notifications',
+  'posts',
+  'profile',
+  'profiles',
+  'register',
+  'root',
+  'search',
+  'settings',
+  'signup',
+  'staff',
+  'support',
+  'system',
+  'user',
+  'users'
+]);
+
+function isReservedHandle(handle) {
+  return RESERVED_HANDLES.has(handle.toLowerCase());
+}
+
+/**
+ * Give a user a new handle. The previous one keeps redirecting to the user, so it cannot
+ * be taken by anyone else. Rejects with a ConflictError when the handle is in use or was
+ * used by another user. Resolves to the user.
+ */
+async function changeHandle(user, requested) {
+  const handle = requested.toLowerCase();
+  if (user.handle === handle) return user;
+
+  const redirect = await HandleRedirect.findOne({ handle });
+  if (redirect && redirect.user.toString() !== user.id) {
+    throw new ConflictError('Handle is already taken');
+  }
+
+  const previous = user.handle;
+  user.handle = handle;
+  try {
+    await user.save();
+  } catch (err) {
+    // Another user has the handle, or took it concurrently
+    if (err.code === 11000) {
+      throw new ConflictError('Handle is already taken');
+    }
+    throw err;
+  }
+
+  // Taking back an earlier handle of the user, it no longer needs to redirect
+  if (redirect) await HandleRedirect.deleteOne({ _id: redirect.id });
+
+  if (previous) {
+    await HandleRedirect.updateOne(
+      { handle: previous },
+      { $setOnInsert: { handle: previous, user: user.id } },
+      { upsert: true }
+    );
+  }
+
+  return user;
+}
+
+/**
+ * Find the user a handle belongs to, now or before a rename.
+ * Resolves to { user, renamed } where `renamed` tells that the handle is an old one,
+ * or to null when no user ever had the handle.
+ */
+async function findUserByHandle(requested) {
+  const handle = requested.toLowerCase();
+
+  const user = await User.findOne({ handle });
+  if (user) return { user, renamed: false };
+
+  const redirect = await HandleRedirect.findOne({ handle }).populate('user');
+  if (!redirect || !redirect.user || !redirect.user.handle) return null;
+  return { user: redirect.user, renamed: true };
+}
+
+module.exports = { HANDLE_PATTERN, RESERVED_HANDLES, isReservedHandle, changeHandle, findUserByHandle };
@@ -0,0 +1,68 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { getStore } = require('./rateLimitStore');
+
+/**
+ * Failed logins are counted per account and client IP, so one client cannot lock others out of an account,
+ * and per account across every IP with a higher limit, so guessing from many addresses is held off too.
+ * The account-wide lockout also keeps the owner out while it lasts, which is why it allows more failures
+ * and, like the other, never lasts longer than MAX_LOCKOUT_SECONDS.
+ */
+
+// Failed logins allowed before the account is locked for the client
+const MAX_FAILED_LOGINS = parseInt(process.env.MAX_FAILED_LOGINS, 10) || 5;
+// Failed logins from any client allowed before the account is locked for everyone
+const MAX_ACCOUNT_FAILED_LOGINS = parseInt(process.env.MAX_ACCOUNT_FAILED_LOGINS, 10) || 20;
+// First lockout, doubled for every further failure and capped at the maximum
+const BASE_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS, 10) || 60;
+const MAX_LOCKOUT_SECONDS = 60 * 60;
+// How long failures are remembered after the first one
+const FAILURE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// The counters a login attempt goes towards, with the failures each allows
+function throttlesFor(email, ip) {
+  const account = String(email).toLowerCase();
+  return [
+    { id: `client:${account}:${ip}`, maxFailures: MAX_FAILED_LOGINS },
+    { id: `account:${account}`, maxFailures: MAX_ACCOUNT_FAILED_LOGINS }
+  ].map(({ id, maxFailures }) => ({
+    failures: `login-failures:${id}`,
+    lockout: `login-lockout:${id}`,
+    maxFailures
+  }));
+}
+
+// Seconds until a client may try logging in to an account again, 0 when it is not locked
+async function lockoutRemaining(email, ip) {
+  let remaining = 0;
+  for (const { lockout } of throttlesFor(email, ip)) {
+    const lockedUntil = await getStore().get(lockout);
+    if (lockedUntil) remaining = Math.max(remaining, Math.ceil((lockedUntil - Date.now()) / 1000));
+  }
+  return remaining;
+}
+
+// Count a failed login, locking the account for longer and longer once failures pile up
+async function recordFailedLogin(email, ip) {
+  const store = getStore();
+  for (const { failures, lockout, maxFailures } of throttlesFor(email, ip)) {
+    const { count } = await store.increment(failures, FAILURE_MEMORY_MS); // Atomic, concurrent failures all count
+
+    if (count >= maxFailures) {
+      const extraFailures = count - maxFailures;
+      const seconds = Math.min(MAX_LOCKOUT_SECONDS, BASE_LOCKOUT_SECONDS * 2 ** extraFailures);
+      await store.set(lockout, Date.now() + seconds * 1000, seconds * 1000);
+    }
+  }
+}
+
+// Forget the failures on an account after a successful login
+async function clearFailedLogins(email, ip) {
+  for (const { failures, lockout } of throttlesFor(email, ip)) {
+    await getStore().delete(failures);
+    await getStore().delete(lockout);
+  }
+}
+
+module.exports = { lockoutRemaining, recordFailedLogin, clearFailedLogins };
@@ -0,0 +1,66 @@
+const dotenv = require('dotenv');
+dotenv.config();
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Profile = require('../models/Profile');
+const Report = require('../models/Report');
+const { NotFoundError } = require('./errors');
+
+// Number of pending reports after which content is hidden until a moderator reviews it
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 5;
+
+// Models of the content that can be reported
+const REPORT_TARGETS = {
+  post: Post,
+  comment: Comment,
+  profile: Profile
+};
+
+// Statuses of reports that still wait for a decision
+const PENDING_STATUSES = ['open', 'reviewing'];
+
+// Find a reported piece of content, resolves to null if it does not exist
+async function findReportTarget(targetType, targetId) {
+  const target = await REPORT_TARGETS[targetType].findById(targetId);
+  if (!target || target.deleted) return null;
+  return target;
+}
+
+// Hide content once its pending reports reach the threshold
+async function applyReportThreshold(targetType, targetId) {
+  const pending = await Report.countDocuments({
+    targetType,
+    target: targetId,
+    status: { $in: PENDING_STATUSES }
+  });
+
+  if (pending >= REPORT_HIDE_THRESHOLD) {
+    await REPORT_TARGETS[targetType].updateOne({ _id: targetId }, { $set: { hidden: true } });
+  }
+}
+
+// Show or hide reported content
+async function setHidden(targetType, targetId, hidden) {
+  await REPORT_TARGETS[targetType].updateOne({ _id: targetId }, { $set: { hidden } });
+}
+
+// Find a post the user can see, posts hidden by reports or of accounts waiting to be deleted are only visible to their author
+async function findVisiblePost(postId, userId) {
+  const post = await Post.findById(postId);
+  const own = post && post.user.toString() === userId;
+  if (!post || (!own && (post.hidden || post.pendingDeletion))) {
+    throw new NotFoundError('Post not found');
+  }
+  return post;
+}
+
+module.exports = {
+  REPORT_HIDE_THRESHOLD,
+  REPORT_TARGETS,
+  PENDING_STATUSES,
+  findReportTarget,
+  applyReportThreshold,
+  setHidden,
+  findVisiblePost
+};
@@ -0,0 +1,30 @@
+const Notification = require('../models/Notification');
+const { pushToUser } = require('./realtime');
+
+/**
+ * Store a notification and push it to the recipient if they are connected.
+ * Users are never notified about their own actions. Failures are logged rather
+ * than thrown, so a notification problem never fails the action that caused it.
+ */
+async function notify({ recipient, actor, type, post, comment, skill }) {
+  if (!recipient || recipient.toString() === actor.toString()) return null;
+
+  try {
+    const notification = await Notification.create({ recipient, actor, type, post, comment, skill });
+    await notification.populate({ path: 'actor', select: 'name avatar' });
+    pushToUser(recipient, 'notification', notification);
+    return notification;
+  } catch (err) {
+    console.error('Could not send notification:', err.message);
+    return null;
+  }
+}
+
+// Notify unless the recipient was already told about the same action, such as an endorsement taken back and given again
+async function notifyOnce({ recipient, actor, type, post, comment, skill }) {
+  const alreadySent = await Notification.exists({ recipient, actor, type, post, comment, skill });
+  if (alreadySent) return null;
+  return notify({ recipient, actor, type, post, comment, skill });
+}
+
+module.exports = { notify, notifyOnce };
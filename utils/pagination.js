@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Encode the position of a document as an opaque cursor string
+function encodeCursor(doc, field = 'date') {
+  const position = { date: doc[field].toISOString(), id: doc._id.toString() };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// Decode a cursor string back into a position, returns null if it is malformed
+function decodeCursor(cursor) {
+  try {
+    const { date, id } = JSON.parse(
+      Buffer.from(String(cursor), 'base64url').toString('utf8')
+    );
+    const parsedDate = new Date(date);
+
+    if (isNaN(parsedDate.getTime()) || !mongoose.isValidObjectId(id)) {
+      return null;
+    }
+
+    return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Clamp a requested page size into the allowed range
+function parseLimit(limit) {
+  const parsed = parseInt(limit, 10);
+  if (isNaN(parsed) || parsed < 1) return DEFAULT_LIMIT;
+  return Math.min(parsed, MAX_LIMIT);
+}
+
+// Build the filter selecting documents strictly older (before) or newer (after) than a position
+function positionFilter(position, direction, field) {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: position.date } },
+      { [field]: position.date, _id: { [op]: position.id } }
+    ]
+  };
+}
+
+/**
+ * Run a newest-first, cursor-paginated query on a model with `date` and `_id` fields.
+ * Pass `field` to order by another date field instead of `date`.
+ * Pass `before` to page towards older documents and `after` to fetch newer ones.
+ * Cursors must already be decoded with decodeCursor.
+ * Resolves to { items, nextCursor, prevCursor } where nextCursor continues
+ * towards older documents and prevCursor can be used to poll for newer ones.
+ */
+async function paginate(Model, filter, { limit, before, after, populate, field = 'date' } = {}) {
+  const pageSize = parseLimit(limit);
+  const conditions = [filter];
+
+  if (before) conditions.push(positionFilter(before, 'before', field));
+  if (after) conditions.push(positionFilter(after, 'after', field));
+
+  // Walking forwards from an `after` cursor means reading oldest-first, then flipping the page
+  const ascending = Boolean(after) && !before;
+  const sortOrder = ascending ? 1 : -1;
+
+  let query = Model.find({ $and: conditions })
+    .sort({ [field]: sortOrder, _id: sortOrder })
+    .limit(pageSize + 1); // Fetch one extra document to know if another page exists
+
+  if (populate) query = query.populate(populate);
+
+  const docs = await query;
+  const hasMore = docs.length > pageSize;
+  const items = docs.slice(0, pageSize);
+  if (ascending) items.reverse();
+
+  const newest = items[0];
+  const oldest = items[items.length - 1];
+
+  let nextCursor = null;
+  if (oldest && (ascending || hasMore)) nextCursor = encodeCursor(oldest, field);
+
+  let prevCursor = null;
+  if (newest) prevCursor = encodeCursor(newest, field);
+  else if (after) prevCursor = encodeCursor({ [field]: after.date, _id: after.id }, field);
+
+  return { items, nextCursor, prevCursor };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  paginate
+};
@@ -0,0 +1,152 @@
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+// Ways the profile directory can be ordered
+const DIRECTORY_SORTS = {
+  newest: { date: -1, _id: -1 },
+  oldest: { date: 1, _id: 1 },
+  experience: { experienceYears: -1, _id: -1 },
+  endorsements: { endorsementCount: -1, _id: -1 },
+  name: { 'user.name': 1, _id: 1 }
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive match of a whole value, ignoring surrounding spaces
+function exactly(value) {
+  return new RegExp(`^\\s*${escapeRegExp(value.trim())}\\s*$`, 'i');
+}
+
+// Case-insensitive match of a value anywhere in a field
+function containing(value) {
+  return new RegExp(escapeRegExp(value.trim()), 'i');
+}
+
+// Accept lists as either repeated query parameters or a comma separated string, ignoring anything else
+function toList(value) {
+  const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  return values
+    .filter((item) => typeof item === 'string')
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Years of experience summed over the `experience` entries, current positions count until now
+// Overlapping positions are counted in full
+const experienceYears = {
+  $round: [
+    {
+      $divide: [
+        {
+          $sum: {
+            $map: {
+              input: { $ifNull: ['$experience', []] },
+              as: 'exp',
+              in: {
+                $subtract: [
+                  {
+                    $cond: [
+                      '$$exp.current',
+                      '$$NOW',
+                      { $ifNull: ['$$exp.to', '$$NOW'] }
+                    ]
+                  },
+                  '$$exp.from'
+                ]
+              }
+            }
+          }
+        },
+        MS_PER_YEAR
+      ]
+    },
+    1
+  ]
+};
+
+// Endorsements received, summed over every skill
+const endorsementCount = { $sum: '$endorsements.count' };
+
+/**
+ * Build the aggregation pipeline answering a profile directory query.
+ * The pipeline yields a single document { profiles, total }, where every profile
+ * carries its computed `experienceYears` and `endorsementCount` and the owner's
+ * name and avatar in `user`.
+ */
+function buildDirectoryPipeline({
+  skills,
+  skillsMatch = 'any',
+  location,
+  company,
+  status,
+  employedAt,
+  minExperience,
+  maxExperience,
+  sort = 'newest',
+  page = 1,
+  limit
+}) {
+  const match = { hidden: { $ne: true } }; // Leave out profiles hidden by reports
+
+  if (skills) {
+    const skillPatterns = toList(skills).map(exactly);
+    if (skillPatterns.length > 0) {
+      match.skills = skillsMatch === 'all' ? { $all: skillPatterns } : { $in: skillPatterns };
+    }
+  }
+  if (location) match.location = containing(location);
+  if (company) match.company = containing(company);
+  if (status) match.status = containing(status);
+  if (employedAt) {
+    match.experience = {
+      $elemMatch: { current: true, company: containing(employedAt) }
+    };
+  }
+
+  const experienceMatch = {};
+  if (minExperience !== undefined) experienceMatch.$gte = Number(minExperience);
+  if (maxExperience !== undefined) experienceMatch.$lte = Number(maxExperience);
+
+  const pipeline = [{ $match: match }, { $addFields: { experienceYears, endorsementCount } }];
+
+  if (Object.keys(experienceMatch).length > 0) {
+    pipeline.push({ $match: { experienceYears: experienceMatch } });
+  }
+
+  pipeline.push(
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'user',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $match: { 'user.deletionScheduledFor': null } }, // Leave out accounts waiting to be deleted
+    // Keep only the public details of the owner
+    {
+      $addFields: {
+        user: { _id: '$user._id', name: '$user.name', avatar: '$user.avatar' }
+      }
+    },
+    { $sort: DIRECTORY_SORTS[sort] },
+    {
+      $facet: {
+        profiles: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    },
+    {
+      $project: {
+        profiles: 1,
+        total: { $ifNull: [{ $arrayElemAt: ['$total.count', 0] }, 0] }
+      }
+    }
+  );
+
+  return pipeline;
+}
+
+module.exports = { DIRECTORY_SORTS, buildDirectoryPipeline };
@@ -0,0 +1,117 @@
+// Text fields of a profile that the user can set directly
+const TEXT_FIELDS = ['company', 'location', 'status', 'bio', 'githubusername'];
+
+const { ValidationError } = require('./errors');
+
+// Social networks a profile can link to, sent as top-level fields of the request body
+const SOCIAL_FIELDS = ['youtube', 'twitter', 'instagram', 'linkedin', 'facebook'];
+
+// Handles on social networks: letters, digits, underscores and inner hyphens, with an optional leading @
+const SOCIAL_HANDLE = /^@?[a-z\d_](?:[a-z\d_-]{0,48}[a-z\d_])?$/i;
+
+// Host names with at least one dot and a top-level domain of letters
+const HOST_NAME = /^(?:[a-z\d](?:[a-z\d-]{0,61}[a-z\d])?\.)+[a-z]{2,63}$/i;
+
+// normalize-url is an ES module, it is loaded on first use
+let normalizeUrlModule;
+async function normalizeUrl(url, field) {
+  normalizeUrlModule = normalizeUrlModule || import('normalize-url');
+  const { default: normalize } = await normalizeUrlModule;
+  try {
+    return normalize(url, { forceHttps: true });
+  } catch (err) {
+    throw new ValidationError([{ field, location: 'body', message: 'Must be a valid URL' }]);
+  }
+}
+
+// Values left empty clear the field
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Turn skills sent as an array or a comma separated string into a clean list:
+ * entries are trimmed, empty ones dropped and duplicates removed regardless of case.
+ */
+function parseSkills(skills) {
+  const values = Array.isArray(skills) ? skills : String(skills ?? '').split(',');
+  const seen = new Set();
+  const result = [];
+  for (const value of values) {
+    if (typeof value !== 'string') continue;
+    const skill = value.trim();
+    if (!skill || seen.has(skill.toLowerCase())) continue;
+    seen.add(skill.toLowerCase());
+    result.push(skill);
+  }
+  return result;
+}
+
+// Social values with a dot or a slash are links, anything else is a handle
+function looksLikeUrl(text) {
+  return /[./]/.test(text);
+}
+
+// Whether a social value is a web link with a proper host name, or a handle such as `@ada`
+function isSocialLink(value) {
+  if (typeof value !== 'string') return false;
+  const text = value.trim();
+  if (!looksLikeUrl(text)) return SOCIAL_HANDLE.test(text);
+
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return ['http:', 'https:'].includes(url.protocol) && HOST_NAME.test(url.hostname);
+  } catch (err) {
+    return false;
+  }
+}
+
+// Social links are stored as full URLs, plain handles such as `ada` are kept as they are
+async function normalizeSocial(value, network) {
+  const text = value.trim();
+  return looksLikeUrl(text) ? normalizeUrl(text, network) : text.replace(/^@/, '');
+}
+
+/**
+ * Build the MongoDB update applying a profile request body.
+ * A full update sets every field, clearing those left out or empty. A partial update
+ * only touches the fields present in the body, clearing those sent empty.
+ */
+async function buildProfileUpdate(body, { partial = false } = {}) {
+  const $set = {};
+  const $unset = {};
+
+  // Apply one field, unless a partial update leaves it out
+  const apply = async (path, value, transform = (text) => text.trim()) => {
+    if (partial && value === undefined) return;
+    if (isBlank(value)) $unset[path] = '';
+    else $set[path] = await transform(value);
+  };
+
+  for (const field of TEXT_FIELDS) {
+    await apply(field, body[field]);
+  }
+  await apply('website', body.website, (website) => normalizeUrl(website.trim(), 'website'));
+  if (!partial || body.skills !== undefined) $set.skills = parseSkills(body.skills);
+
+  if (partial) {
+    for (const network of SOCIAL_FIELDS) {
+      await apply(`social.${network}`, body[network], (value) => normalizeSocial(value, network));
+    }
+  } else {
+    // The social links are replaced as a whole
+    const social = {};
+    for (const network of SOCIAL_FIELDS) {
+      if (!isBlank(body[network])) social[network] = await normalizeSocial(body[network], network);
+    }
+    if (Object.keys(social).length > 0) $set.social = social;
+    else $unset.social = '';
+  }
+
+  const update = {};
+  if (Object.keys($set).length > 0) update.$set = $set;
+  if (Object.keys($unset).length > 0) update.$unset = $unset;
+  return update;
+}
+
+module.exports = { TEXT_FIELDS, SOCIAL_FIELDS, parseSkills, isSocialLink, buildProfileUpdate };
@@ -0,0 +1,52 @@
+const TTLCache = require('./cache');
+
+/**
+ * A rate limit store is any object with async methods:
+ * - increment(key, windowMs): count a hit in the current window, resolves to { count, resetAt }
+ * - get(key) / set(key, value, ttlMs) / delete(key): plain expiring values, used for lockouts
+ * Share limits between several server instances by passing a Redis-backed store to setStore.
+ */
+
+// Keep counters in the memory of this process
+function memoryStore({ maxEntries = 100000 } = {}) {
+  const cache = new TTLCache({ ttl: 60 * 1000, maxEntries });
+
+  return {
+    async increment(key, windowMs) {
+      const current = cache.get(key);
+      if (current) {
+        current.count += 1;
+        return current;
+      }
+      const entry = { count: 1, resetAt: Date.now() + windowMs };
+      cache.set(key, entry, windowMs);
+      return entry;
+    },
+    async get(key) {
+      return cache.get(key);
+    },
+    async set(key, value, ttlMs) {
+      cache.set(key, value, ttlMs);
+    },
+    async delete(key) {
+      cache.delete(key);
+    },
+    async clear() {
+      cache.clear();
+    }
+  };
+}
+
+let store = memoryStore();
+
+// Get the store rate limits are counted in
+function getStore() {
+  return store;
+}
+
+// Replace the store rate limits are counted in
+function setStore(newStore) {
+  store = newStore;
+}
+
+module.exports = { memoryStore, getStore, setStore };
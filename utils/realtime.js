@@ -0,0 +1,99 @@
+const { WebSocketServer } = require('ws');
+const jwt = require('jsonwebtoken');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { isSessionActive } = require('./tokens');
+const { CLOSE_TOKEN_EXPIRED, addConnection, removeConnection, connectionsOf } = require('./connections');
+
+// Path clients open the WebSocket connection on
+const REALTIME_PATH = '/ws';
+
+// Longest delay a timer accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Subprotocol announcing that the next offered subprotocol is the access token
+const TOKEN_PROTOCOL = 'access-token';
+
+// Read the access token from the subprotocols offered by a browser, or from the x-auth-token header
+// Tokens are kept out of the URL, which ends up in proxy and access logs
+function readToken(req) {
+  const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map((protocol) => protocol.trim());
+  if (protocols[0] === TOKEN_PROTOCOL && protocols[1]) return protocols[1];
+  return req.headers['x-auth-token'];
+}
+
+// Authenticate an upgrade request the same way the authentication middleware does
+// Resolves to the decoded token, or to null
+async function authenticate(req) {
+  const token = readToken(req);
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded.sid))) return null;
+    return decoded;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Accept authenticated WebSocket connections on REALTIME_PATH of an HTTP server.
+ * Browsers connect with `new WebSocket(url, ['access-token', token])`, other clients
+ * may send the x-auth-token header instead. Clients receive JSON messages of the form
+ * { event, data }. Connections are closed when their session ends (code 4001) or
+ * when the access token expires (code 4002), clients then reconnect with a new token.
+ */
+function attachRealtime(server) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    // Answer with the token subprotocol, never echo the token back
+    handleProtocols: (protocols) => (protocols.has(TOKEN_PROTOCOL) ? TOKEN_PROTOCOL : false)
+  });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== REALTIME_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const decoded = await authenticate(req);
+    if (!decoded) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    const { user, sid, exp } = decoded;
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.sessionId = sid; // Lets the connection be closed when the session is revoked
+      addConnection(user.id, ws);
+
+      // Timers cannot wait longer than about 24 days, longer-lived tokens are cut short then
+      const delay = Math.min(exp * 1000 - Date.now(), MAX_TIMER_MS);
+      const expiry = setTimeout(() => ws.close(CLOSE_TOKEN_EXPIRED, 'Access token expired'), delay);
+      const disconnect = () => {
+        clearTimeout(expiry);
+        removeConnection(user.id, ws);
+      };
+      ws.on('close', disconnect);
+      ws.on('error', disconnect);
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  return wss;
+}
+
+// Send an event to every open connection of a user, returns the number of connections reached
+function pushToUser(userId, event, data) {
+  const sockets = connectionsOf(userId);
+  const message = JSON.stringify({ event, data });
+  for (const socket of sockets) {
+    if (socket.readyState === socket.OPEN) socket.send(message);
+  }
+  return sockets.size;
+}
+
+module.exports = { REALTIME_PATH, attachRealtime, pushToUser };
@@ -0,0 +1,76 @@
+const MarkdownIt = require('markdown-it');
+
+const User = require('../models/User');
+const HandleRedirect = require('../models/HandleRedirect');
+
+// Raw HTML is disabled, so anything a user types is escaped and the output is safe to render
+const md = new MarkdownIt({
+  html: false,
+  linkify: true,
+  breaks: true,
+  langPrefix: 'language-'
+});
+
+// Open user links without passing on the page or letting search engines follow them
+const defaultLinkOpen =
+  md.renderer.rules.link_open ||
+  ((tokens, idx, options, env, self) => self.renderToken(tokens, idx, options));
+md.renderer.rules.link_open = (tokens, idx, options, env, self) => {
+  tokens[idx].attrSet('rel', 'nofollow noopener noreferrer');
+  tokens[idx].attrSet('target', '_blank');
+  return defaultLinkOpen(tokens, idx, options, env, self);
+};
+
+// Fenced code blocks only keep language tags made of safe characters
+const defaultFence = md.renderer.rules.fence;
+md.renderer.rules.fence = (tokens, idx, options, env, self) => {
+  const token = tokens[idx];
+  const language = token.info.trim().split(/\s+/)[0];
+  token.info = /^[\w+#.-]{1,30}$/.test(language) ? language.toLowerCase() : '';
+  return defaultFence(tokens, idx, options, env, self);
+};
+
+const HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&#/])#([\p{L}_][\p{L}\p{N}_-]{0,49})/gu;
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@/])@([a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38})/giu;
+
+// Collect the plain text of a markdown document, leaving out code so `#include` or `@Override` are not picked up
+function plainText(tokens) {
+  const parts = [];
+  for (const token of tokens) {
+    if (token.type === 'inline') parts.push(plainText(token.children));
+    else if (token.type === 'text') parts.push(token.content);
+    else if (token.type === 'softbreak' || token.type === 'hardbreak') parts.push('\n');
+  }
+  return parts.join(' ');
+}
+
+function matchesOf(pattern, text) {
+  return [...new Set([...text.matchAll(pattern)].map((match) => match[2].toLowerCase()))];
+}
+
+/**
+ * Render post text written in markdown and pick out its #hashtags and @mentions.
+ * Returns { html, hashtags, mentions } with hashtags and mention handles lowercased.
+ */
+function parseRichText(text) {
+  const tokens = md.parse(text, {});
+  const content = plainText(tokens);
+
+  return {
+    html: md.renderer.render(tokens, md.options, {}),
+    hashtags: matchesOf(HASHTAG_PATTERN, content),
+    mentions: matchesOf(MENTION_PATTERN, content)
+  };
+}
+
+// Find the users mentioned by handle, including handles they have since renamed away from
+async function resolveMentions(handles) {
+  if (handles.length === 0) return [];
+
+  const users = await User.find({ handle: { $in: handles } }).select('_id');
+  const redirects = await HandleRedirect.find({ handle: { $in: handles } }).select('user');
+
+  return [...new Set([...users.map(({ _id }) => _id), ...redirects.map(({ user }) => user)].map(String))];
+}
+
+module.exports = { parseRichText, resolveMentions };
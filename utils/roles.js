@@ -0,0 +1,25 @@
+// Roles in increasing order of privilege
+const ROLES = ['user', 'moderator', 'admin'];
+
+// Actions that need more than ownership of the content, mapped to the roles allowed to perform them
+const PERMISSIONS = {
+  'users:list': ['moderator', 'admin'],
+  'users:suspend': ['moderator', 'admin'],
+  'users:ban': ['admin'],
+  'users:role': ['admin'],
+  'posts:delete': ['moderator', 'admin'],
+  'comments:delete': ['moderator', 'admin'],
+  'reports:manage': ['moderator', 'admin']
+};
+
+// Check whether a role grants a permission
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+// Check whether one role is strictly more privileged than another
+function outranks(role, otherRole) {
+  return ROLES.indexOf(role) > ROLES.indexOf(otherRole);
+}
+
+module.exports = { ROLES, PERMISSIONS, hasPermission, outranks };
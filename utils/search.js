@@ -0,0 +1,101 @@
+// Characters around a match kept in a highlighted fragment
+const FRAGMENT_CONTEXT = 40;
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Split a search query into the words worth highlighting
+function searchTerms(q) {
+  return [
+    ...new Set(
+      String(q)
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}+#.]+/u)
+        .map((term) => term.replace(/^\.+|\.+$/g, ''))
+        .filter((term) => term.length > 1)
+    )
+  ];
+}
+
+// Match words starting with any of the terms, group 2 holds the matched word
+function termPattern(terms) {
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}])((?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*)`,
+    'giu'
+  );
+}
+
+// Escape a piece of text and wrap the words matching the pattern in <mark>
+function markTerms(text, pattern) {
+  let marked = '';
+  let position = 0;
+  let match;
+
+  while ((match = pattern.exec(text))) {
+    const start = match.index + match[1].length;
+    marked += escapeHtml(text.slice(position, start));
+    marked += `<mark>${escapeHtml(match[2])}</mark>`;
+    position = start + match[2].length;
+  }
+
+  return marked + escapeHtml(text.slice(position));
+}
+
+/**
+ * Cut short fragments of text around the search terms, wrapping each match in <mark>.
+ * Terms match word prefixes so stemmed matches like "developers" for "developer" are found.
+ * The text is HTML-escaped, so fragments are safe to render as HTML.
+ */
+function highlight(text, terms, maxFragments = 3) {
+  if (!text || terms.length === 0) return [];
+
+  const pattern = termPattern(terms);
+
+  const fragments = [];
+  let lastEnd = -1;
+  let match;
+
+  while ((match = pattern.exec(text)) && fragments.length < maxFragments) {
+    const matchStart = match.index + match[1].length;
+    const matchEnd = matchStart + match[2].length;
+
+    // Skip matches already shown in the previous fragment
+    if (matchStart < lastEnd) continue;
+
+    const start = Math.max(0, matchStart - FRAGMENT_CONTEXT);
+    const end = Math.min(text.length, matchEnd + FRAGMENT_CONTEXT);
+    const fragment = text.slice(start, end);
+
+    const marked = markTerms(fragment, termPattern(terms));
+
+    fragments.push(
+      (start > 0 ? '…' : '') + marked + (end < text.length ? '…' : '')
+    );
+    lastEnd = end;
+  }
+
+  return fragments;
+}
+
+// Highlight matches in several fields of a document, leaving out fields without matches
+function highlightFields(doc, fields, terms) {
+  const highlights = {};
+  for (const field of fields) {
+    const value = Array.isArray(doc[field]) ? doc[field].join(', ') : doc[field];
+    const fragments = highlight(value, terms);
+    if (fragments.length > 0) highlights[field] = fragments;
+  }
+  return highlights;
+}
+
+module.exports = { searchTerms, highlight, highlightFields };
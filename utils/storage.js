@@ -0,0 +1,44 @@
+const fs = require('fs/promises');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+
+/**
+ * A storage backend is any object with async `save(key, buffer, contentType)`,
+ * resolving to the public URL of the stored file, and async `remove(key)`.
+ * Wire in S3 or another object store by passing such an object to setStorage.
+ */
+
+// Store files on the local disk, served by the app under `baseUrl`
+function localDiskStorage(directory, baseUrl) {
+  return {
+    directory,
+    baseUrl,
+    async save(key, buffer) {
+      const filePath = path.join(directory, key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(path.join(directory, key), { force: true });
+    }
+  };
+}
+
+let storage = localDiskStorage(
+  process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+  process.env.UPLOAD_BASE_URL || '/uploads'
+);
+
+// Get the storage backend in use
+function getStorage() {
+  return storage;
+}
+
+// Replace the storage backend used for uploads
+function setStorage(newStorage) {
+  storage = newStorage;
+}
+
+module.exports = { localDiskStorage, getStorage, setStorage };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const Session = require('../models/Session');
+const { UnauthorizedError } = require('./errors');
+const { closeConnections } = require('./connections');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Error raised when a refresh token cannot be exchanged for new tokens
+class RefreshTokenError extends UnauthorizedError {}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Sign a short-lived access token bound to a session
+function signAccessToken(userId, sessionId) {
+  const payload = {
+    user: {
+      id: userId.toString()
+    },
+    sid: sessionId.toString()
+  };
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+}
+
+// Refresh tokens are `<sessionId>.<secret>`, only the hash of the secret is stored
+function buildRefreshToken(sessionId) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, tokenHash: hashSecret(secret) };
+}
+
+// Start a new session for a user who just logged in or registered
+async function createSession(userId, req) {
+  const session = new Session({
+    user: userId,
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  const { refreshToken, tokenHash } = buildRefreshToken(session.id);
+  session.tokenHash = tokenHash;
+  await session.save();
+
+  return { token: signAccessToken(userId, session.id), refreshToken };
+}
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Presenting a refresh token that was already rotated away means it has been
+ * copied, so the whole session is revoked.
+ */
+async function rotateSession(presentedToken, req) {
+  const [sessionId, secret] = String(presentedToken).split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw new RefreshTokenError('Refresh token is not valid');
+  }
+
+  const { refreshToken, tokenHash } = buildRefreshToken(sessionId);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hashSecret(secret),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        tokenHash,
+        lastUsedAt: Date.now(),
+        ip: req.ip,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // The session exists but the secret is stale: someone is replaying an old token
+    const revoked = await Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { $set: { revokedAt: Date.now() } }
+    );
+    if (revoked) closeConnections(revoked.user, sessionId);
+    throw new RefreshTokenError('Refresh token is not valid');
+  }
+
+  return { token: signAccessToken(session.user, session.id), refreshToken };
+}
+
+// Revoke a single session of a user, closing its live connections
+async function revokeSession(userId, sessionId) {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+  closeConnections(userId, sessionId);
+  return result.modifiedCount > 0;
+}
+
+// Revoke every session of a user, logging them out and closing their live connections on all devices
+async function revokeAllSessions(userId) {
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: Date.now() } }
+  );
+  closeConnections(userId);
+}
+
+// Check whether the session an access token was issued for is still active
+async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return Boolean(session);
+}
+
+module.exports = {
+  RefreshTokenError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
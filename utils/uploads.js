@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { getStorage } = require('./storage');
+const { BadRequestError } = require('./errors');
+
+// Largest accepted file, in bytes
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 5 * 1024 * 1024;
+// Width and height thumbnails of images are fitted into
+const THUMBNAIL_SIZE = 320;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const DOCUMENT_TYPES = ['application/pdf', 'text/plain'];
+
+// Formats sharp detects in the file contents, mapped to the MIME type they must have been uploaded as
+const SHARP_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// File extensions stored files get, taken from the MIME type rather than the uploaded name
+// so a file can never be served as a different type, e.g. text/plain saved as .html
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+};
+
+// Error raised when an uploaded file is rejected
+class UploadError extends BadRequestError {
+  constructor(message) {
+    super(message);
+    this.code = 'UPLOAD_ERROR';
+  }
+}
+
+// Build a multer instance keeping files in memory, accepting only the given MIME types
+function createUpload(allowedTypes) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE },
+    fileFilter(req, file, cb) {
+      if (!allowedTypes.includes(file.mimetype)) {
+        return cb(new UploadError(`File type ${file.mimetype} is not allowed`));
+      }
+      cb(null, true);
+    }
+  });
+}
+
+// Wrap a multer middleware so rejected uploads are reported as UploadErrors with a readable message
+function handleUpload(middleware) {
+  return function uploadMiddleware(req, res, next) {
+    middleware(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message =
+          err.code === 'LIMIT_FILE_SIZE'
+            ? `File is larger than ${Math.round(MAX_UPLOAD_SIZE / 1024 / 1024)} MB`
+            : err.message;
+        return next(new UploadError(message));
+      }
+      next(err);
+    });
+  };
+}
+
+function randomKey(folder, extension) {
+  return `${folder}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+}
+
+/**
+ * Store an uploaded file, generating a thumbnail when it is an image.
+ * Images are checked against their contents, so a renamed file is rejected.
+ * Resolves to the attachment details to keep on the owning document.
+ */
+async function storeUpload(file, folder) {
+  const storage = getStorage();
+  const attachment = {
+    name: file.originalname,
+    contentType: file.mimetype,
+    size: file.size
+  };
+
+  if (IMAGE_TYPES.includes(file.mimetype)) {
+    let metadata;
+    try {
+      metadata = await sharp(file.buffer).metadata();
+    } catch (err) {
+      throw new UploadError('File is not a valid image');
+    }
+    if (SHARP_FORMATS[metadata.format] !== file.mimetype) {
+      throw new UploadError('File contents do not match its type');
+    }
+
+    attachment.width = metadata.width;
+    attachment.height = metadata.height;
+
+    const thumbnail = await sharp(file.buffer)
+      .rotate() // Apply the EXIF orientation
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+    attachment.thumbnailKey = randomKey(folder, '.webp');
+    attachment.thumbnailUrl = await storage.save(attachment.thumbnailKey, thumbnail, 'image/webp');
+  }
+
+  attachment.key = randomKey(folder, EXTENSIONS[file.mimetype]);
+  attachment.url = await storage.save(attachment.key, file.buffer, file.mimetype);
+
+  return attachment;
+}
+
+// Delete the stored files of attachments
+async function removeUploads(attachments) {
+  const storage = getStorage();
+  for (const attachment of attachments) {
+    if (attachment.key) await storage.remove(attachment.key);
+    if (attachment.thumbnailKey) await storage.remove(attachment.thumbnailKey);
+  }
+}
+
+module.exports = {
+  IMAGE_TYPES,
+  DOCUMENT_TYPES,
+  UploadError,
+  createUpload,
+  handleUpload,
+  storeUpload,
+  removeUploads
+};